@@ -2,11 +2,112 @@
  * CSS Selector with Style Rules - TypeScript Definitions
  */
 
+/**
+ * Allowed deviation per value category, used when comparing for equality and
+ * to loosen the bounds of >, >=, < and <=
+ */
+export interface ToleranceOptions {
+  /** Lengths, in px */
+  length?: number;
+  /** Unitless numbers */
+  number?: number;
+  /** Percentages */
+  percentage?: number;
+  /** Times, in ms */
+  time?: number;
+  /** Angles, in degrees */
+  angle?: number;
+  /** Colors, as a CIEDE2000 deltaE */
+  color?: number;
+}
+
+/**
+ * Options accepted by the query functions
+ */
+export interface QueryOptions {
+  /** Allowed deviation per value category */
+  tolerance?: ToleranceOptions;
+  /** Skip malformed pieces of the query instead of throwing */
+  lenient?: boolean;
+  /** Cache to reuse computed styles across calls */
+  cache?: StyleCache;
+  /** 'open' to continue into open shadow roots, following the flat tree */
+  shadow?: 'open';
+  /** Continue into same-origin iframes and frames; results stay elements, see getFramePath for their frames */
+  frames?: boolean;
+}
+
+/**
+ * Scoring options for ranked matching
+ */
+export interface RankingOptions {
+  /** Lowest score a result may have, from 0 to 1 (default 0.5) */
+  minScore?: number;
+  /** Weight of each declared property (default 1); a shorthand's weight is shared by its longhands */
+  weights?: Record<string, number>;
+}
+
+/**
+ * Query options for ranked partial matching
+ */
+export interface RankedQueryOptions extends QueryOptions, RankingOptions {
+  /** Score the last part's declarations instead of requiring all of them */
+  mode: 'ranked';
+}
+
+/**
+ * A candidate scored by ranked matching
+ */
+export interface RankedMatch {
+  element: Element;
+  /** Weighted fraction of the declarations satisfied, from 0 to 1 */
+  score: number;
+  /** Declarations the element does not satisfy */
+  failed: Array<DeclarationFailure | NegatedBlockFailure>;
+}
+
+/**
+ * Cache of computed style values shared across query evaluations
+ */
+export interface StyleCache {
+  /** Forget every cached value */
+  invalidate(): void;
+  /** Stop watching the root for mutations */
+  disconnect(): void;
+}
+
+/**
+ * Create a cache of computed style values to pass as `options.cache`
+ * @param root - Subtree whose mutations clear the cache; without one it is only cleared by invalidate()
+ * @returns Style cache
+ */
+export function createStyleCache(root?: Node): StyleCache;
+
+/**
+ * Error thrown for a malformed query
+ */
+export class CSSQuerySyntaxError extends SyntaxError {
+  /** The full query */
+  readonly query: string;
+  /** Offset of the problem within the query */
+  readonly offset: number;
+  /** 1-based line of the problem */
+  readonly line: number;
+  /** 1-based column of the problem */
+  readonly column: number;
+  /** The line of the query containing the problem */
+  readonly snippet: string;
+  /** How to fix the problem, when known */
+  readonly hint: string | null;
+}
+
 /**
  * Query selector with CSS rules - returns first matching element
  * @param query - The CSS query with optional style rules in curly braces
  * @param root - Root element to search from (default: document)
+ * @param options - Query options
  * @returns First matching element or null
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
  * 
  * @example
  * ```typescript
@@ -15,14 +116,22 @@
  */
 export function querySelectorWithCssRules(
   query: string,
-  root?: Document | Element
+  root: Document | Element | undefined,
+  options: RankedQueryOptions
+): RankedMatch | null;
+export function querySelectorWithCssRules(
+  query: string,
+  root?: Document | Element,
+  options?: QueryOptions
 ): Element | null;
 
 /**
  * Query selector all with CSS rules - returns all matching elements
  * @param query - The CSS query with optional style rules in curly braces
  * @param root - Root element to search from (default: document)
+ * @param options - Query options
  * @returns Array of matching elements
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
  * 
  * @example
  * ```typescript
@@ -31,9 +140,457 @@ export function querySelectorWithCssRules(
  */
 export function querySelectorAllWithCssRules(
   query: string,
-  root?: Document | Element
+  root: Document | Element | undefined,
+  options: RankedQueryOptions
+): RankedMatch[];
+export function querySelectorAllWithCssRules(
+  query: string,
+  root?: Document | Element,
+  options?: QueryOptions
 ): Element[];
 
+/**
+ * Options accepted by querySelectorAllWithCssRulesAsync
+ */
+export interface AsyncQueryOptions extends QueryOptions {
+  /** Rejects the promise with the signal's reason when aborted */
+  signal?: AbortSignal;
+  /** Elements checked between looks at the clock, at least 1 (default 250) */
+  chunkSize?: number;
+  /** Milliseconds of work before yielding to the main thread, 0 or more (default 10) */
+  yieldEvery?: number;
+  /** Called each time the walk yields, and once at the end */
+  onProgress?: (progress: { visited: number; matched: number }) => void;
+}
+
+/**
+ * Query selector all with CSS rules, in time-sliced chunks that yield to the main thread
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param root - Root element to search from (default: document)
+ * @param options - Query options
+ * @returns Promise of the matching elements in document order; rejects with a TypeError for `mode: 'ranked'`,
+ *   and with a RangeError for an invalid chunkSize or yieldEvery
+ *
+ * @example
+ * ```typescript
+ * const hidden = await querySelectorAllWithCssRulesAsync('.row{ display: none; }', document, { signal });
+ * ```
+ */
+export function querySelectorAllWithCssRulesAsync(
+  query: string,
+  root?: Document | Element,
+  options?: AsyncQueryOptions
+): Promise<Element[]>;
+
+/**
+ * Iterate the elements matching a query lazily, in document order
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param root - Root element to search from (default: document)
+ * @param options - Query options
+ * @returns Iterator over matching elements
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
+ * @throws TypeError for `mode: 'ranked'`, which only querySelectorWithCssRules,
+ *   querySelectorAllWithCssRules and compile().rank() support
+ *
+ * @example
+ * ```typescript
+ * for (const row of iterateWithCssRules('.row{ display: none; }')) {
+ *   if (row.id === target) break;
+ * }
+ * ```
+ */
+export function iterateWithCssRules(
+  query: string,
+  root?: Document | Element,
+  options?: QueryOptions
+): IterableIterator<Element>;
+
+/**
+ * Options accepted by observe
+ */
+export interface ObserveOptions extends QueryOptions {
+  /** Called with each element that starts matching */
+  onAdd?: (element: Element) => void;
+  /** Called with each element that stops matching, including removed elements */
+  onRemove?: (element: Element) => void;
+}
+
+/**
+ * Handle returned by observe
+ */
+export interface StyleQueryObserver {
+  /** Re-evaluate the whole root */
+  refresh(): void;
+  /** Stop watching */
+  disconnect(): void;
+}
+
+/**
+ * Watch for elements starting or stopping to match a query
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param root - Root element to watch (default: document)
+ * @param options - Query options and callbacks
+ * @returns Handle to refresh or stop observing
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
+ * @throws TypeError for `mode: 'ranked'`
+ *
+ * @example
+ * ```typescript
+ * const handle = observe('.modal{ display: block; }', document, { onAdd: modal => trapFocus(modal) });
+ * ```
+ */
+export function observe(
+  query: string,
+  root?: Document | Element,
+  options?: ObserveOptions
+): StyleQueryObserver;
+
+/**
+ * A declaration an element does not satisfy
+ */
+export interface DeclarationFailure {
+  property: string;
+  /** Pseudo-element the declaration applies to */
+  pseudo: string | null;
+  /** Shorthand the declaration was expanded from */
+  shorthand: string | null;
+  expected: string;
+  /** Computed value, or null when the pseudo-element does not exist */
+  actual: string | null;
+}
+
+/**
+ * A negated block an element matches
+ */
+export interface NegatedBlockFailure {
+  negated: true;
+  rules: Array<{ property: string; value: string }>;
+}
+
+/**
+ * An element that satisfies the selectors of a query but not all its declarations
+ */
+export interface NearMiss {
+  element: Element;
+  failures: Array<DeclarationFailure | NegatedBlockFailure>;
+}
+
+/**
+ * Error waitForCssRules rejects with when nothing matched in time
+ */
+export class CSSQueryTimeoutError extends Error {
+  /** The query that was waited for */
+  readonly query: string;
+  /** Milliseconds waited */
+  readonly timeout: number;
+  /** Closest elements, fewest failures first */
+  readonly nearMisses: NearMiss[];
+}
+
+/**
+ * Options accepted by waitForCssRules
+ */
+export interface WaitForOptions extends QueryOptions {
+  /** Root element to search from (default: document) */
+  root?: Document | Element;
+  /** Milliseconds to wait before rejecting (default 5000) */
+  timeout?: number;
+  /** Rejects the promise with the signal's reason when aborted */
+  signal?: AbortSignal;
+  /** Resolve with every match instead of the first */
+  all?: boolean;
+  /** Milliseconds between full re-checks (default 100; 0 relies on mutations alone) */
+  interval?: number;
+}
+
+/**
+ * Wait until a query matches
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param options - Query and wait options
+ * @returns Promise of the first match, or of every match with `all`; rejects with a TypeError for `mode: 'ranked'`
+ *
+ * @example
+ * ```typescript
+ * const dialog = await waitForCssRules('.dialog{ opacity: 1; }', { timeout: 2000 });
+ * ```
+ */
+export function waitForCssRules(query: string, options?: WaitForOptions & { all?: false }): Promise<Element>;
+export function waitForCssRules(query: string, options: WaitForOptions & { all: true }): Promise<Element[]>;
+
+/**
+ * One declaration checked against a candidate by explain
+ */
+export interface DeclarationReport {
+  property: string;
+  /** Pseudo-element the declaration applies to */
+  pseudo: string | null;
+  /** Shorthand the declaration was expanded from */
+  shorthand: string | null;
+  operator: '=' | '>=' | '<=' | '!=' | '>' | '<' | '^=' | '$=' | '*=' | '~=';
+  /** Expected value as written */
+  expected: string;
+  /** Computed value, or null when the pseudo-element does not exist */
+  actual: string | null;
+  /** The forms that were compared */
+  normalized: { expected: string | null; actual: string | null };
+  pass: boolean;
+}
+
+/**
+ * A rule block checked against a candidate by explain
+ */
+export interface BlockReport {
+  negated: boolean;
+  /** Whether every declaration passed */
+  matched: boolean;
+  declarations: DeclarationReport[];
+}
+
+/**
+ * An element considered for a query part
+ */
+export interface CandidateReport {
+  element: Element;
+  /** Whether the element satisfied the part's rule blocks */
+  matched: boolean;
+  blocks: BlockReport[];
+}
+
+/**
+ * An element a filter part left out because it is nested below a match of
+ * an earlier filter selector
+ */
+export interface ExcludedElement {
+  element: Element;
+  /** The ancestor that matched the earlier filter selector */
+  blockedBy: Element;
+  selector: string;
+}
+
+/**
+ * How one part of a selector group was evaluated
+ */
+export interface PartReport {
+  selector: string;
+  relationship: 'filter' | 'descendant' | 'child' | 'adjacent' | 'sibling' | null;
+  pseudo: string | null;
+  start: number;
+  end: number;
+  candidates: CandidateReport[];
+  excluded: ExcludedElement[];
+}
+
+/**
+ * Report returned by explain
+ */
+export interface QueryExplanation {
+  query: string;
+  /** The elements the query returns, in document order */
+  matches: Element[];
+  groups: Array<{ parts: PartReport[] }>;
+}
+
+/**
+ * Explain how a query was evaluated: the candidates of each part and the
+ * outcome of each declaration for each candidate
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param root - Root element to search from (default: document)
+ * @param options - Query options
+ * @returns Report per selector group and part
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
+ *
+ * @example
+ * ```typescript
+ * const report = explain('.card{ display: flex; }');
+ * report.groups[0].parts[0].candidates.filter(candidate => !candidate.matched);
+ * ```
+ */
+export function explain(query: string, root?: Document | Element, options?: QueryOptions): QueryExplanation;
+
+/**
+ * Options accepted by generateQuery
+ */
+export interface GenerateQueryOptions extends QueryOptions {
+  /** Root the query will run from (default: the element's document) */
+  root?: Document | Element;
+  /** Computed properties to describe elements with */
+  properties?: string[];
+  /** Ancestor levels to try (default 3) */
+  maxDepth?: number;
+}
+
+/**
+ * Generate a short query that matches an element and nothing else under a root,
+ * from its tag name, stable attributes and computed styles
+ * @param element - Element to identify
+ * @param options - Generation and query options
+ * @returns The query, or null when none identifies the element
+ *
+ * @example
+ * ```typescript
+ * const query = generateQuery(button); // 'button{ color: rgb(255, 0, 0); }'
+ * ```
+ */
+export function generateQuery(element: Element, options?: GenerateQueryOptions): string | null;
+
+/**
+ * An element's computed styles and structural hints, as captured by fingerprint
+ */
+export interface StyleFingerprint {
+  tag: string;
+  /** Stable attributes, such as type, name, role and data-testid */
+  attributes: Record<string, string>;
+  /** Tag name of the parent element in the tree the shadow and frames options pick */
+  parent: string | null;
+  /** Number of child elements */
+  children: number;
+  /** Up to 80 characters of text, whitespace collapsed */
+  text: string;
+  /** Computed values by property */
+  styles: Record<string, string>;
+}
+
+/**
+ * Capture an element's computed styles and structural hints
+ * @param element - Element to capture
+ * @param options - Properties to record, a style cache, and the tree to take the parent from
+ * @returns A fingerprint that survives JSON serialization
+ */
+export function fingerprint(
+  element: Element,
+  options?: Pick<QueryOptions, 'cache' | 'shadow' | 'frames'> & { properties?: string[] }
+): StyleFingerprint;
+
+/**
+ * An element found by findBySimilarity
+ */
+export interface SimilarityMatch {
+  element: Element;
+  /** Similarity from 0 to 1 */
+  score: number;
+  /** Entries that changed; property is a CSS property, tag, parent, children, text or an attribute such as [type] */
+  differences: Array<{ property: string; expected: string | number | null; actual: string | number | null }>;
+}
+
+/**
+ * Find the elements most like a fingerprint
+ * @param fingerprint - Fingerprint from fingerprint()
+ * @param root - Root element to search from (default: document)
+ * @param options - Query options and the lowest score to return (default 0.9)
+ * @returns Matches, highest score first
+ *
+ * @example
+ * ```typescript
+ * const [match] = findBySimilarity(JSON.parse(stored));
+ * if (match && match.differences.length) console.warn('drifted', match.differences);
+ * ```
+ */
+export function findBySimilarity(fingerprint: StyleFingerprint, root?: Document | Element, options?: QueryOptions & { threshold?: number }): SimilarityMatch[];
+
+/**
+ * Get the frames an element is nested in, outermost first
+ * @param element - Element to locate, typically a result of a query run with `frames: true`
+ * @returns Frame elements, empty for elements of the top-level document
+ */
+export function getFramePath(element: Element): Element[];
+
+/**
+ * A query parsed and normalized once for repeated evaluation
+ */
+export interface CompiledQuery {
+  /** The query the object was compiled from */
+  readonly source: string;
+  /** Matching elements in document order, evaluated lazily */
+  iterate(root?: Document | Element): IterableIterator<Element>;
+  /** First matching element in document order, or null */
+  first(root?: Document | Element): Element | null;
+  /** All matching elements in document order */
+  all(root?: Document | Element): Element[];
+  /** Whether the element is matched by the query from root (default: its document) */
+  matches(element: Element, root?: Document | Element): boolean;
+  /** Candidates scored by the fraction of the last part's declarations they satisfy, highest first */
+  rank(root?: Document | Element): RankedMatch[];
+}
+
+/**
+ * Compile a query once for repeated use
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param options - Query options applied to every evaluation
+ * @returns Compiled query
+ *
+ * @example
+ * ```typescript
+ * const primary = compile('.button { background-color: rgb(40, 167, 69); }');
+ * const buttons = primary.all(container);
+ * ```
+ */
+export function compile(query: string, options?: QueryOptions & RankingOptions): CompiledQuery;
+
+/** Offsets of a node within the parsed query */
+export interface SourceRange {
+  start: number;
+  end: number;
+}
+
+/** A declaration inside a rule block, as written */
+export interface DeclarationNode extends SourceRange {
+  type: 'Declaration';
+  property: string;
+  /** `'='` for `property: value`, otherwise the comparison or pattern operator */
+  operator: '=' | '>=' | '<=' | '!=' | '>' | '<' | '^=' | '$=' | '*=' | '~=';
+  value: string;
+  /** Tolerance in the category's canonical unit (px, ms, deg) */
+  tolerance: { category: keyof ToleranceOptions; amount: number } | null;
+  /** Pseudo-element of a nested `::after { }` block */
+  pseudo: string | null;
+}
+
+/** A rule block; blocks after the first that are not negated are alternatives */
+export interface BlockNode extends SourceRange {
+  type: 'Block';
+  negated: boolean;
+  declarations: DeclarationNode[];
+}
+
+/** A selector with its rule blocks, or a plain selector */
+export interface PartNode extends SourceRange {
+  type: 'Part';
+  selector: string;
+  /** null for a plain selector without blocks */
+  relationship: 'filter' | 'descendant' | 'child' | 'adjacent' | 'sibling' | null;
+  pseudo: string | null;
+  blocks: BlockNode[];
+}
+
+/** One comma-separated selector group */
+export interface GroupNode extends SourceRange {
+  type: 'Group';
+  parts: PartNode[];
+}
+
+/** A parsed query */
+export interface QueryNode {
+  type: 'Query';
+  source: string;
+  groups: GroupNode[];
+}
+
+/**
+ * Parse a query into an AST
+ * @param query - The CSS query with optional style rules in curly braces
+ * @param options - Parse options
+ * @returns Query node
+ * @throws CSSQuerySyntaxError when the query is malformed and not lenient
+ */
+export function parse(query: string, options?: { lenient?: boolean }): QueryNode;
+
+/**
+ * Print an AST back out as a canonical query
+ * @param ast - Query node
+ * @returns Query string
+ */
+export function stringify(ast: QueryNode): string;
+
 /**
  * Alias for querySelectorWithCssRules
  */
@@ -48,8 +605,23 @@ export const querySelectorAll: typeof querySelectorAllWithCssRules;
  * Default export containing all functions
  */
 declare const CSSQueryWithRules: {
+  CSSQuerySyntaxError: typeof CSSQuerySyntaxError;
+  CSSQueryTimeoutError: typeof CSSQueryTimeoutError;
+  compile: typeof compile;
+  createStyleCache: typeof createStyleCache;
+  parse: typeof parse;
+  stringify: typeof stringify;
   querySelectorWithCssRules: typeof querySelectorWithCssRules;
   querySelectorAllWithCssRules: typeof querySelectorAllWithCssRules;
+  querySelectorAllWithCssRulesAsync: typeof querySelectorAllWithCssRulesAsync;
+  iterateWithCssRules: typeof iterateWithCssRules;
+  observe: typeof observe;
+  waitForCssRules: typeof waitForCssRules;
+  explain: typeof explain;
+  generateQuery: typeof generateQuery;
+  fingerprint: typeof fingerprint;
+  findBySimilarity: typeof findBySimilarity;
+  getFramePath: typeof getFramePath;
   querySelector: typeof querySelectorWithCssRules;
   querySelectorAll: typeof querySelectorAllWithCssRules;
 };
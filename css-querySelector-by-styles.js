@@ -17,41 +17,219 @@
 })(typeof self !== 'undefined' ? self : this, function () {
   'use strict';
 
+  /**
+   * Pseudo-elements whose computed style can be queried. `:before`, `:after`,
+   * `:first-line` and `:first-letter` also accept the legacy single colon.
+   */
+  const PSEUDO_ELEMENT_PATTERN = /(?:::(before|after|marker|placeholder|first-line|first-letter|selection|backdrop|file-selector-button)|:(before|after|first-line|first-letter))$/i;
+
+  /**
+   * Error thrown for a malformed query. Besides the message it carries where
+   * the problem is (`offset`, 1-based `line` and `column`), the offending
+   * line of the query as `snippet` and a `hint` on how to fix it.
+   */
+  class CSSQuerySyntaxError extends SyntaxError {
+    /**
+     * @param {string} message - What is wrong
+     * @param {string} query - The full query
+     * @param {number} offset - Offset of the problem within the query
+     * @param {string} [hint] - How to fix it
+     */
+    constructor(message, query, offset, hint) {
+      const position = getLineColumn(query, offset);
+      const lineStart = query.lastIndexOf('\n', offset - 1) + 1;
+      const lineEnd = query.indexOf('\n', offset);
+      const snippet = query.substring(lineStart, lineEnd === -1 ? query.length : lineEnd);
+
+      super(message + ' at ' + position.line + ':' + position.column +
+        (hint ? ' (' + hint + ')' : '') + '\n  ' + snippet + '\n  ' + ' '.repeat(offset - lineStart) + '^');
+
+      this.name = 'CSSQuerySyntaxError';
+      this.query = query;
+      this.offset = offset;
+      this.line = position.line;
+      this.column = position.column;
+      this.snippet = snippet;
+      this.hint = hint || null;
+    }
+  }
+
+  /**
+   * Error waitForCssRules rejects with when nothing matched in time. Its
+   * `nearMisses` are the elements that came closest: they satisfy the
+   * selectors but fail some declarations, fewest failures first.
+   */
+  class CSSQueryTimeoutError extends Error {
+    /**
+     * @param {string} query - The query that was waited for
+     * @param {number} timeout - Milliseconds waited
+     * @param {Array<Object>} nearMisses - `{ element, failures }` from findNearMisses
+     */
+    constructor(query, timeout, nearMisses) {
+      const lines = nearMisses.map(miss => '  ' + describeElement(miss.element) + ': ' +
+        miss.failures.map(describeFailure).join('; '));
+      super('Timed out after ' + timeout + 'ms waiting for ' + JSON.stringify(query) +
+        (lines.length ? '\nClosest elements:\n' + lines.join('\n') : '\nNo element matched the selectors'));
+
+      this.name = 'CSSQueryTimeoutError';
+      this.query = query;
+      this.timeout = timeout;
+      this.nearMisses = nearMisses;
+    }
+  }
+
+  /**
+   * Convert an offset within a string to a 1-based line and column
+   * @param {string} text - Source text
+   * @param {number} offset - Offset within the text
+   * @returns {Object} - { line, column }
+   */
+  function getLineColumn(text, offset) {
+    const before = text.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  /**
+   * Report a syntax error. Strict parsing throws; lenient parsing returns so
+   * the caller can fall back to skipping the malformed piece.
+   * @param {Object} context - Parse context: { query, offset, lenient }
+   * @param {number} offset - Offset of the problem relative to `context.offset`
+   * @param {string} message - What is wrong
+   * @param {string} [hint] - How to fix it
+   */
+  function reportSyntaxError(context, offset, message, hint) {
+    if (context.lenient) return;
+    throw new CSSQuerySyntaxError(message, context.query, context.offset + offset, hint);
+  }
+
+  /**
+   * Check that a plain CSS selector is valid, using the browser's own parser
+   * @param {string} selector - CSS selector
+   * @param {Object} context - Parse context
+   * @param {number} offset - Offset of the selector relative to `context.offset`
+   */
+  function validateSelector(selector, context, offset) {
+    if (context.lenient || !selector || typeof document === 'undefined') return;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      reportSyntaxError(context, offset, "Invalid selector '" + selector + "'", 'not a valid CSS selector');
+    }
+  }
+
   /**
    * Parse the custom CSS query syntax
    * @param {string} query - The CSS query with optional style rules
-   * @returns {Array} - Array of query parts with their types and rules
+   * @param {Object} [context] - Parse context: `query` is the full query
+   *   (when `query` is one group of it), `offset` the position of `query`
+   *   within it and `lenient` skips malformed pieces instead of throwing
+   * @returns {Array} - Array of query parts with their types, rule blocks and
+   *   `start`/`end` offsets. Each block is `{ rules, negated, offset, start,
+   *   end }`, with `offset` where its rules begin; an element satisfies a
+   *   part when it matches any non-negated block (or there are none) and no
+   *   negated block. Offsets are positions within the full query.
+   * @throws {CSSQuerySyntaxError} - When the query is malformed and not lenient
    */
-  function parseQuery(query) {
+  function parseQuery(query, context = { query: query, offset: 0, lenient: false }) {
     const parts = [];
     let i = 0;
     let currentSelector = '';
+    let selectorStart = 0;
     let inRules = false;
     let currentRules = '';
+    let rulesStart = 0;
+    let blockStart = 0;
     let braceDepth = 0;
     let inQuotes = false;
     let quoteChar = '';
+    let quoteStart = 0;
+    let inRegex = false;
+    let regexStart = 0;
+    let currentBlock = null;
+    let currentPart = null;
 
     while (i < query.length) {
       const char = query[i];
 
-      // Track if we're inside quotes
-      if (!inRules && (char === '"' || char === "'")) {
+      // A `~=` pattern is as opaque as a string: quotes and braces in it
+      // belong to the pattern
+      if (inRegex || (inRules && !inQuotes && char === '/' && /~=\s*$/.test(currentRules))) {
+        if (!inRegex) {
+          inRegex = true;
+          regexStart = i;
+        } else if (char === '\\') {
+          currentRules += char + (query[i + 1] || '');
+          i += 2;
+          continue;
+        } else if (char === '/') {
+          inRegex = false;
+        }
+        currentRules += char;
+        i++;
+        continue;
+      }
+
+      // Track if we're inside quotes, so braces in strings are left alone
+      const isQuote = (char === '"' || char === "'") && query[i - 1] !== '\\';
+      if (inQuotes || isQuote) {
         if (!inQuotes) {
           inQuotes = true;
           quoteChar = char;
-        } else if (char === quoteChar && query[i - 1] !== '\\') {
+          quoteStart = i;
+        } else if (isQuote && char === quoteChar) {
           inQuotes = false;
           quoteChar = '';
         }
-        currentSelector += char;
+
+        if (inRules) {
+          currentRules += char;
+        } else {
+          if (!currentSelector) selectorStart = i;
+          currentSelector += char;
+        }
         i++;
         continue;
       }
 
       if (!inRules) {
-        // Only treat { as rules start if not inside quotes
-        if (char === '{' && !inQuotes) {
+        if (char === '{') {
+          const modifier = currentSelector.trim();
+          const previousPart = parts[parts.length - 1];
+          const modifierOffset = selectorStart + currentSelector.indexOf(modifier);
+          blockStart = i;
+          rulesStart = i + 1;
+          const block = {
+            rules: '',
+            negated: false,
+            offset: context.offset + rulesStart,
+            start: context.offset + blockStart,
+            end: null
+          };
+
+          // `!{ ... }` or `| { ... }` straight after a block adds a negated or
+          // alternative block to it instead of starting a new part
+          if ((modifier === '!' || modifier === '|') && previousPart && previousPart.type === 'selector-with-rules') {
+            block.negated = modifier === '!';
+            currentBlock = block;
+            previousPart.blocks.push(currentBlock);
+            currentSelector = '';
+            inRules = true;
+            braceDepth = 1;
+            i++;
+            continue;
+          }
+
+          if (modifier === '|') {
+            reportSyntaxError(context, modifierOffset, "Unexpected '|'", 'an alternative block must follow another rule block');
+          }
+
+          // A `!` right before the brace negates the block (`.btn!{ opacity: 0 }`)
+          let negated = false;
+          if (currentSelector.trimEnd().endsWith('!')) {
+            negated = true;
+            currentSelector = currentSelector.trimEnd().slice(0, -1);
+          }
+
           // Determine the relationship type based on what precedes the {
           let relationship = 'filter'; // default: no space before {
           let selector = currentSelector.trim();
@@ -64,6 +242,11 @@
             relationship = 'child';
             // Remove the > from the selector
             selector = trimmedSelector.slice(0, -1).trim();
+          } else if (trimmedSelector.endsWith('+') || trimmedSelector.endsWith('~')) {
+            // Like the native combinators, the selector applies to the
+            // preceding sibling
+            relationship = trimmedSelector.endsWith('+') ? 'adjacent' : 'sibling';
+            selector = trimmedSelector.slice(0, -1).trim();
           } else {
             // Check if there's a SINGLE space before the brace (not multiple spaces which are just formatting)
             // We detect this by checking if the original had trailing space and it was exactly one space
@@ -77,17 +260,44 @@
             }
           }
 
-          parts.push({
+          // A trailing pseudo-element (`.item::before{`) matches the host
+          // element by the pseudo-element's computed style
+          let pseudo = null;
+          const pseudoMatch = selector.match(PSEUDO_ELEMENT_PATTERN);
+          if (pseudoMatch) {
+            pseudo = '::' + (pseudoMatch[1] || pseudoMatch[2]).toLowerCase();
+            selector = selector.slice(0, pseudoMatch.index);
+            // `.list ::before` means any descendant of .list
+            if (selector && /[\s>+~]$/.test(selector)) {
+              selector += '*';
+            }
+            selector = selector.trim();
+          }
+
+          const selectorOffset = trimmedSelector ? selectorStart + currentSelector.indexOf(trimmedSelector) : i;
+          validateSelector(selector, context, selectorOffset);
+
+          block.negated = negated;
+          currentBlock = block;
+          currentPart = {
             type: 'selector-with-rules',
             selector: selector,
             relationship: relationship,
-            rules: ''
-          });
+            pseudo: pseudo,
+            start: context.offset + selectorOffset,
+            end: null,
+            blocks: [currentBlock]
+          };
+          parts.push(currentPart);
 
           currentSelector = '';
           inRules = true;
           braceDepth = 1;
+        } else if (char === '}') {
+          reportSyntaxError(context, i, "Unexpected '}'", 'no rule block is open');
+          currentSelector += char;
         } else {
+          if (!currentSelector) selectorStart = i;
           currentSelector += char;
         }
       } else {
@@ -98,7 +308,10 @@
           braceDepth--;
           if (braceDepth === 0) {
             // End of rules block
-            parts[parts.length - 1].rules = currentRules.trim();
+            const leading = currentRules.length - currentRules.trimStart().length;
+            currentBlock.rules = currentRules.trim();
+            currentBlock.offset = context.offset + rulesStart + leading;
+            currentBlock.end = currentPart.end = context.offset + i + 1;
             currentRules = '';
             inRules = false;
           } else {
@@ -112,11 +325,29 @@
       i++;
     }
 
+    if (inRegex) {
+      reportSyntaxError(context, regexStart, 'Unterminated regular expression', "expected '/' to close the pattern");
+    }
+    if (inQuotes) {
+      reportSyntaxError(context, quoteStart, 'Unterminated string', 'expected ' + quoteChar + ' to close the string');
+    }
+    if (inRules) {
+      const opened = getLineColumn(context.query, context.offset + blockStart);
+      reportSyntaxError(context, query.length, 'Unclosed rule block',
+        "expected '}' to close rule block opened at " + opened.line + ':' + opened.column);
+      currentBlock.end = currentPart.end = context.offset + query.length;
+    }
+
     // Handle any remaining selector
     if (currentSelector.trim()) {
+      const selector = currentSelector.trim();
+      const selectorOffset = selectorStart + currentSelector.indexOf(selector);
+      validateSelector(selector, context, selectorOffset);
       parts.push({
         type: 'selector',
-        selector: currentSelector.trim()
+        selector: selector,
+        start: context.offset + selectorOffset,
+        end: context.offset + selectorOffset + selector.length
       });
     }
 
@@ -124,328 +355,3431 @@
   }
 
   /**
-   * Parse CSS rules string into an object
+   * Comparison operators that may prefix a value inside a rule block,
+   * e.g. `z-index: >= 10`. Longer operators come first so `>=` wins over `>`.
+   */
+  const COMPARISON_OPERATORS = ['>=', '<=', '!=', '>', '<'];
+
+  /**
+   * String pattern operators, modelled on attribute selectors. They may
+   * replace the colon (`font-family ^= "Inter"`) or follow it.
+   */
+  const PATTERN_OPERATORS = ['^=', '$=', '*=', '~='];
+
+  /**
+   * Split a rules string into declarations on semicolons that are not
+   * inside quotes, a regular expression literal or a nested block
    * @param {string} rulesString - CSS rules as a string
-   * @returns {Object} - Object mapping property names to values
+   * @param {Object} [context] - Parse context, with `offset` the position of
+   *   `rulesString` within the full query
+   * @returns {Array<Object>} - Trimmed, non-empty declarations as
+   *   `{ text, offset }`, with `offset` relative to `rulesString`
+   * @throws {CSSQuerySyntaxError} - On an unterminated regular expression
    */
-  function parseCSSRules(rulesString) {
-    const rules = {};
-    const lines = rulesString.split(';').map(line => line.trim()).filter(line => line);
+  function splitDeclarations(rulesString, context = { query: rulesString, offset: 0, lenient: false }) {
+    const declarations = [];
+    let current = '';
+    let start = 0;
+    let quoteChar = '';
+    let inRegex = false;
+    let regexStart = 0;
+    let braceDepth = 0;
+
+    const push = (text, end) => {
+      const leading = text.length - text.trimStart().length;
+      if (text.trim()) declarations.push({ text: text.trim(), offset: start + leading });
+      current = '';
+      start = end;
+    };
 
-    for (const line of lines) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex === -1) continue;
+    for (let i = 0; i < rulesString.length; i++) {
+      const char = rulesString[i];
 
-      const property = line.substring(0, colonIndex).trim();
-      const value = line.substring(colonIndex + 1).trim();
+      if (char === '\\' && (quoteChar || inRegex)) {
+        current += char + (rulesString[i + 1] || '');
+        i++;
+        continue;
+      }
 
-      if (property && value) {
-        rules[property] = value;
+      if (quoteChar) {
+        if (char === quoteChar) quoteChar = '';
+      } else if (inRegex) {
+        if (char === '/') inRegex = false;
+      } else if (char === '"' || char === "'") {
+        quoteChar = char;
+      } else if (char === '/' && /~=\s*$/.test(current)) {
+        inRegex = true;
+        regexStart = i;
+      } else if (char === '{') {
+        braceDepth++;
+      } else if (char === '}' && braceDepth > 0) {
+        braceDepth--;
+        if (braceDepth === 0) {
+          // A nested block such as `::after { ... }` is one declaration
+          push(current + char, i + 1);
+          continue;
+        }
+      } else if (char === ';' && braceDepth === 0) {
+        push(current, i + 1);
+        continue;
       }
+
+      current += char;
     }
 
-    return rules;
+    if (inRegex) {
+      reportSyntaxError(context, regexStart, 'Unterminated regular expression', "expected '/' to close the pattern");
+    }
+    push(current, rulesString.length);
+
+    return declarations;
   }
 
   /**
-   * Normalize CSS property names (handle vendor prefixes, camelCase, etc.)
-   * @param {string} property - CSS property name
-   * @returns {string} - Normalized property name
+   * Remove matching surrounding quotes from a string value
+   * @param {string} value - Possibly quoted value
+   * @returns {string} - Unquoted value
    */
-  function normalizePropertyName(property) {
-    // Convert kebab-case to camelCase for getComputedStyle
-    return property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  function unquote(value) {
+    const match = value.match(/^(["'])([\s\S]*)\1$/);
+    return match ? match[2].replace(/\\(.)/g, '$1') : value;
   }
 
   /**
-   * Convert hex color to rgb format
-   * @param {string} hex - Hex color (e.g., #ff0000 or #f00)
-   * @returns {string} - RGB format (e.g., rgb(255,0,0))
+   * Parse a single declaration such as `z-index: >= 10` or `font-family ^= "Inter"`
+   * @param {string} declaration - Declaration text without the trailing semicolon
+   * @param {Object} [context] - Parse context, with `offset` the position of
+   *   the declaration within the full query
+   * @returns {Object|null} - { property, operator, value[, pattern] } or null
+   *   when the declaration is malformed and parsing is lenient
+   * @throws {CSSQuerySyntaxError} - When the declaration is malformed
    */
-  function hexToRgb(hex) {
-    // Remove # if present
-    hex = hex.replace('#', '');
-    
-    // Expand shorthand form (e.g. "03F") to full form (e.g. "0033FF")
-    if (hex.length === 3) {
-      hex = hex.split('').map(function(h) { return h + h; }).join('');
+  function parseDeclaration(declaration, context = { query: declaration, offset: 0, lenient: false }) {
+    const match = declaration.match(/^([^:]+?)\s*(\^=|\$=|\*=|~=|:)\s*([\s\S]*)$/);
+    if (!match) {
+      const name = declaration.match(/^[\w-]*/)[0];
+      reportSyntaxError(context, name.length, "Expected ':'",
+        name ? "expected ':' or an operator after '" + name + "'" : 'expected a property name');
+      return null;
     }
-    
-    const r = parseInt(hex.substring(0, 2), 16);
-    const g = parseInt(hex.substring(2, 4), 16);
-    const b = parseInt(hex.substring(4, 6), 16);
-    
-    return 'rgb(' + r + ',' + g + ',' + b + ')';
+
+    const property = match[1].trim();
+    let operator = match[2] === ':' ? '=' : match[2];
+    let value = match[3].trim();
+
+    if (operator === '=') {
+      for (const candidate of COMPARISON_OPERATORS.concat(PATTERN_OPERATORS)) {
+        if (value.startsWith(candidate)) {
+          operator = candidate;
+          value = value.substring(candidate.length).trim();
+          break;
+        }
+      }
+    }
+
+    // A trailing `±2px` (or `+/- 2px`) sets the tolerance for this declaration
+    let tolerance = null;
+    const toleranceMatch = value.match(/^([\s\S]*?)\s*(?:±|\+\/-)\s*(\S+)$/);
+    if (toleranceMatch && COMPARISON_OPERATORS.concat('=').indexOf(operator) !== -1) {
+      tolerance = parseNumericValue(toleranceMatch[2]);
+      if (tolerance) value = toleranceMatch[1];
+    }
+
+    if (!property || !value) {
+      if (!property) {
+        reportSyntaxError(context, 0, 'Missing property name', "expected a property name before '" + match[2] + "'");
+      } else {
+        reportSyntaxError(context, declaration.length, 'Missing value', "expected a value for '" + property + "'");
+      }
+      return null;
+    }
+
+    const rule = { property, operator, value };
+    if (tolerance) rule.tolerance = tolerance;
+
+    if (operator === '~=') {
+      const regexMatch = value.match(/^\/([\s\S]*)\/([a-z]*)$/);
+      try {
+        // One pattern is tested against every candidate, so the stateful
+        // `g` and `y` flags would carry lastIndex from one to the next
+        rule.pattern = regexMatch
+          ? new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''))
+          : new RegExp(unquote(value));
+      } catch (error) {
+        reportSyntaxError(context, declaration.lastIndexOf(value), 'Invalid regular expression', error.message);
+        return null;
+      }
+    } else if (PATTERN_OPERATORS.indexOf(operator) !== -1) {
+      rule.value = unquote(value);
+    }
+
+    return rule;
   }
 
   /**
-   * Convert HSL color to RGB format
-   * @param {number} h - Hue (0-360)
-   * @param {number} s - Saturation (0-100)
-   * @param {number} l - Lightness (0-100)
-   * @returns {string} - RGB format (e.g., rgb(255,0,0))
+   * Split a CSS value into whitespace-separated tokens, keeping functions
+   * and quoted strings intact and emitting each top-level `/` as its own token
+   * @param {string} value - CSS value
+   * @returns {Array<string>} - Value tokens
    */
-  function hslToRgb(h, s, l) {
-    h = h / 360;
-    s = s / 100;
-    l = l / 100;
-    
-    let r, g, b;
-    
-    if (s === 0) {
-      r = g = b = l; // achromatic
-    } else {
-      const hue2rgb = function(p, q, t) {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
-      
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
+  function splitValueTokens(value) {
+    const tokens = [];
+    let current = '';
+    let depth = 0;
+    let quoteChar = '';
+
+    const flush = () => {
+      if (current) tokens.push(current);
+      current = '';
+    };
+
+    for (const char of value) {
+      if (quoteChar) {
+        if (char === quoteChar) quoteChar = '';
+        current += char;
+      } else if (char === '"' || char === "'") {
+        quoteChar = char;
+        current += char;
+      } else if (char === '(') {
+        depth++;
+        current += char;
+      } else if (char === ')') {
+        depth = Math.max(0, depth - 1);
+        current += char;
+      } else if (depth === 0 && /\s/.test(char)) {
+        flush();
+      } else if (depth === 0 && char === '/') {
+        flush();
+        tokens.push('/');
+      } else {
+        current += char;
+      }
     }
-    
-    return 'rgb(' + Math.round(r * 255) + ',' + Math.round(g * 255) + ',' + Math.round(b * 255) + ')';
+    flush();
+
+    return tokens;
   }
 
   /**
-   * Normalize CSS values for comparison
-   * @param {string} value - CSS value
-   * @returns {string} - Normalized value
+   * Split tokens into the groups separated by `/` tokens
+   * @param {Array<string>} tokens - Tokens from splitValueTokens
+   * @returns {Array<Array<string>>} - Token groups
    */
-  function normalizeCSSValue(value) {
-    if (!value) return '';
-    
-    // Trim and lowercase
-    value = value.trim().toLowerCase();
-    
-    // Convert hex colors to rgb format
-    if (value.match(/^#[0-9a-f]{3,6}$/i)) {
-      value = hexToRgb(value);
+  function splitOnSlash(tokens) {
+    const groups = [[]];
+    for (const token of tokens) {
+      if (token === '/') {
+        groups.push([]);
+      } else {
+        groups[groups.length - 1].push(token);
+      }
     }
-    
-    // Convert HSL colors to rgb format
-    const hslMatch = value.match(/hsl\(\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)%\s*,\s*(\d+(?:\.\d+)?)%\s*\)/i);
-    if (hslMatch) {
-      const h = parseFloat(hslMatch[1]);
-      const s = parseFloat(hslMatch[2]);
-      const l = parseFloat(hslMatch[3]);
-      value = hslToRgb(h, s, l);
+    return groups;
+  }
+
+  /**
+   * Expand 1-4 values to top, right, bottom and left per the CSS box model
+   * @param {Array<string>} values - One to four values
+   * @returns {Array<string>|null} - Four values or null if the count is invalid
+   */
+  function expandBoxValues(values) {
+    switch (values.length) {
+      case 1: return [values[0], values[0], values[0], values[0]];
+      case 2: return [values[0], values[1], values[0], values[1]];
+      case 3: return [values[0], values[1], values[2], values[1]];
+      case 4: return values.slice();
+      default: return null;
     }
-    
-    // Convert named colors to rgb (handle common ones)
-    const namedColors = {
-      'transparent': 'rgba(0,0,0,0)',
-      'black': 'rgb(0,0,0)',
-      'white': 'rgb(255,255,255)',
-      'red': 'rgb(255,0,0)',
-      'green': 'rgb(0,128,0)',
-      'blue': 'rgb(0,0,255)',
-      'yellow': 'rgb(255,255,0)',
-      'cyan': 'rgb(0,255,255)',
-      'magenta': 'rgb(255,0,255)',
-      'gray': 'rgb(128,128,128)',
-      'grey': 'rgb(128,128,128)'
+  }
+
+  const BOX_SIDES = ['top', 'right', 'bottom', 'left'];
+  const BORDER_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+  const BORDER_WIDTHS = ['thin', 'medium', 'thick'];
+  const FONT_STRETCHES = ['ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'];
+  const FONT_SIZES = ['xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large', 'smaller', 'larger'];
+  const BACKGROUND_REPEATS = ['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'];
+  const BACKGROUND_ATTACHMENTS = ['scroll', 'fixed', 'local'];
+  const BACKGROUND_BOXES = ['border-box', 'padding-box', 'content-box'];
+  const POSITION_KEYWORDS = { left: '0%', center: '50%', right: '100%', top: '0%', bottom: '100%' };
+
+  /**
+   * Check whether a token is a length, percentage or unitless zero
+   * @param {string} token - Value token
+   * @returns {boolean} - True for length-like tokens
+   */
+  function isLengthToken(token) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?([a-z]+|%)?$/i.test(token) || /^(calc|min|max|clamp|var)\(/i.test(token);
+  }
+
+  /**
+   * Create an expander for a 1-4 value box shorthand such as `margin`
+   * @param {function(string): string} longhand - Maps a side to its longhand name
+   * @returns {function(string): Array|null} - Shorthand expander
+   */
+  function boxExpander(longhand) {
+    return function (value) {
+      const values = expandBoxValues(splitValueTokens(value));
+      return values && BOX_SIDES.map((side, index) => [longhand(side), values[index]]);
     };
-    
-    if (namedColors[value]) {
-      value = namedColors[value];
-    }
-    
-    // Remove all whitespace for consistent comparison
-    // This handles rgb(255, 0, 0) vs rgb(255,0,0) and extra spaces
-    value = value.replace(/\s+/g, '');
-    
-    // Normalize rgb/rgba color formats - remove spaces after commas
-    value = value.replace(/rgba?\([^)]+\)/g, function(match) {
-      return match.replace(/\s+/g, '');
+  }
+
+  /**
+   * Create an expander for a two value shorthand such as `gap`
+   * @param {string} first - Longhand set by the first value
+   * @param {string} second - Longhand set by the second value (defaults to the first value)
+   * @returns {function(string): Array|null} - Shorthand expander
+   */
+  function pairExpander(first, second) {
+    return function (value) {
+      const tokens = splitValueTokens(value);
+      if (tokens.length < 1 || tokens.length > 2) return null;
+      return [[first, tokens[0]], [second, tokens[1] || tokens[0]]];
+    };
+  }
+
+  /**
+   * Create an expander for `border`-like shorthands made of a width, a style
+   * and a color in any order. Only the components present are expanded.
+   * @param {Array<string>} prefixes - Longhand prefixes, e.g. ['border-top']
+   * @returns {function(string): Array|null} - Shorthand expander
+   */
+  function lineExpander(prefixes) {
+    return function (value) {
+      const parts = {};
+      for (const token of splitValueTokens(value)) {
+        const lower = token.toLowerCase();
+        const key = BORDER_STYLES.indexOf(lower) !== -1 ? 'style'
+          : (BORDER_WIDTHS.indexOf(lower) !== -1 || isLengthToken(token)) ? 'width'
+            : 'color';
+        if (parts[key]) return null;
+        parts[key] = token;
+      }
+
+      const longhands = [];
+      for (const prefix of prefixes) {
+        for (const key of ['width', 'style', 'color']) {
+          if (parts[key]) longhands.push([prefix + '-' + key, parts[key]]);
+        }
+      }
+      return longhands;
+    };
+  }
+
+  /**
+   * Expand `border-radius`, including the elliptical `h / v` form
+   * @param {string} value - Shorthand value
+   * @returns {Array|null} - Longhand pairs
+   */
+  function expandBorderRadius(value) {
+    const groups = splitOnSlash(splitValueTokens(value));
+    if (groups.length > 2) return null;
+
+    const horizontal = expandBoxValues(groups[0]);
+    const vertical = groups.length === 2 ? expandBoxValues(groups[1]) : horizontal;
+    if (!horizontal || !vertical) return null;
+
+    const corners = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+    return corners.map((corner, index) => {
+      const radius = horizontal[index] === vertical[index]
+        ? horizontal[index]
+        : horizontal[index] + ' ' + vertical[index];
+      return ['border-' + corner + '-radius', radius];
     });
-    
-    return value;
   }
 
   /**
-   * Check if an element matches the given CSS rules
-   * @param {Element} element - DOM element to check
-   * @param {Object} rules - CSS rules object
-   * @returns {boolean} - True if element matches all rules
+   * Expand `flex`, including the `none`, `auto` and single-number forms
+   * @param {string} value - Shorthand value
+   * @returns {Array|null} - Longhand pairs
+   */
+  function expandFlex(value) {
+    const keywords = { none: ['0', '0', 'auto'], auto: ['1', '1', 'auto'], initial: ['0', '1', 'auto'] };
+    const tokens = splitValueTokens(value);
+    const isNumber = token => /^[+-]?(\d+\.?\d*|\.\d+)$/.test(token);
+    let parts = null;
+
+    if (tokens.length === 1 && keywords[tokens[0].toLowerCase()]) {
+      parts = keywords[tokens[0].toLowerCase()];
+    } else if (tokens.length === 1) {
+      parts = isNumber(tokens[0]) ? [tokens[0], '1', '0%'] : ['1', '1', tokens[0]];
+    } else if (tokens.length === 2 && isNumber(tokens[0])) {
+      parts = isNumber(tokens[1]) ? [tokens[0], tokens[1], '0%'] : [tokens[0], '1', tokens[1]];
+    } else if (tokens.length === 3 && isNumber(tokens[0]) && isNumber(tokens[1])) {
+      parts = tokens;
+    }
+
+    return parts && [['flex-grow', parts[0]], ['flex-shrink', parts[1]], ['flex-basis', parts[2]]];
+  }
+
+  /**
+   * Expand `flex-flow` into direction and wrap
+   * @param {string} value - Shorthand value
+   * @returns {Array|null} - Longhand pairs
+   */
+  function expandFlexFlow(value) {
+    const longhands = [];
+    for (const token of splitValueTokens(value)) {
+      const property = /wrap/i.test(token) ? 'flex-wrap' : 'flex-direction';
+      longhands.push([property, token]);
+    }
+    return longhands.length ? longhands : null;
+  }
+
+  /**
+   * Expand `font`. Components before the size (style, variant, weight,
+   * stretch) are only expanded when present.
+   * @param {string} value - Shorthand value
+   * @returns {Array|null} - Longhand pairs
    */
-  function elementMatchesRules(element, rules) {
-    const computedStyle = window.getComputedStyle(element);
+  function expandFont(value) {
+    const tokens = splitValueTokens(value);
+    const longhands = [];
+    let index = 0;
 
-    for (const [property, expectedValue] of Object.entries(rules)) {
-      const normalizedProperty = normalizePropertyName(property);
-      const actualValue = computedStyle[normalizedProperty] || computedStyle.getPropertyValue(property);
-      
-      const normalizedExpected = normalizeCSSValue(expectedValue);
-      const normalizedActual = normalizeCSSValue(actualValue);
+    for (; index < tokens.length; index++) {
+      const token = tokens[index];
+      const lower = token.toLowerCase();
 
-      if (normalizedExpected !== normalizedActual) {
-        return false;
+      if (lower === 'normal') continue;
+      if (lower === 'italic' || lower === 'oblique') {
+        longhands.push(['font-style', token]);
+      } else if (lower === 'small-caps') {
+        longhands.push(['font-variant', token]);
+      } else if (/^(bold|bolder|lighter|\d{3})$/.test(lower)) {
+        longhands.push(['font-weight', token]);
+      } else if (FONT_STRETCHES.indexOf(lower) !== -1) {
+        longhands.push(['font-stretch', token]);
+      } else {
+        break;
       }
     }
 
-    return true;
+    const size = tokens[index];
+    if (!size || !(isLengthToken(size) || FONT_SIZES.indexOf(size.toLowerCase()) !== -1)) return null;
+    longhands.push(['font-size', size]);
+    index++;
+
+    if (tokens[index] === '/') {
+      if (!tokens[index + 1]) return null;
+      longhands.push(['line-height', tokens[index + 1]]);
+      index += 2;
+    }
+
+    const family = tokens.slice(index).join(' ').replace(/\s+,/g, ',');
+    if (!family) return null;
+    longhands.push(['font-family', family]);
+
+    return longhands;
   }
 
   /**
-   * Execute a query with CSS rules
-   * @param {string} query - The CSS query with optional style rules
-   * @param {Element} root - Root element to search from (default: document)
-   * @param {boolean} findAll - Whether to find all matches or just the first
-   * @returns {Element|NodeList|null} - Matching element(s) or null
+   * Convert up to two background-position tokens to the computed `x y` form
+   * @param {Array<string>} tokens - Position tokens
+   * @returns {string|null} - Position such as "50% 0%" or null if unsupported
    */
-  function executeQuery(query, root = document, findAll = false) {
-    const parts = parseQuery(query);
-    let currentElements = [root];
-    let results = [];
-    let previousFilterSelectors = []; // Track selectors from previous filter blocks
+  function normalizeBackgroundPosition(tokens) {
+    if (tokens.length < 1 || tokens.length > 2) return null;
 
-    for (let partIndex = 0; partIndex < parts.length; partIndex++) {
-      const part = parts[partIndex];
-      const nextResults = [];
+    let [x, y] = tokens.map(token => token.toLowerCase());
+    if (y === undefined) {
+      y = (x === 'top' || x === 'bottom') ? x : 'center';
+      if (x === 'top' || x === 'bottom') x = 'center';
+    } else if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') {
+      [x, y] = [y, x];
+    }
 
-      if (part.type === 'selector') {
-        // Simple selector without rules
-        for (const element of currentElements) {
-          const matches = element.querySelectorAll(part.selector);
-          nextResults.push(...matches);
-        }
-        currentElements = nextResults;
-      } else if (part.type === 'selector-with-rules') {
-        const rules = parseCSSRules(part.rules);
-
-        if (part.relationship === 'filter') {
-          // No space before {: get elements matching selector, then filter by rules
-          for (const element of currentElements) {
-            const selector = part.selector || '*';
-            
-            // Find all matching elements, but exclude those within elements
-            // that match any previous filter selector (to prevent descending into nested structures)
-            const matches = [];
-            const allMatches = element.querySelectorAll(selector);
-            
-            for (const match of allMatches) {
-              // Check if this match is within an element that matches a previous filter selector
-              let shouldExclude = false;
-              if (previousFilterSelectors.length > 0) {
-                let ancestor = match.parentElement;
-                while (ancestor && ancestor !== element) {
-                  for (const prevSelector of previousFilterSelectors) {
-                    if (ancestor.matches(prevSelector)) {
-                      shouldExclude = true;
-                      break;
-                    }
-                  }
-                  if (shouldExclude) break;
-                  ancestor = ancestor.parentElement;
-                }
-              }
-              
-              if (!shouldExclude && elementMatchesRules(match, rules)) {
-                nextResults.push(match);
-              }
-            }
-          }
-          
-          // Track this filter selector for future filter blocks
-          if (part.selector) {
-            previousFilterSelectors.push(part.selector);
-          }
-        } else if (part.relationship === 'descendant') {
-          // Space before {: search recursively for elements matching rules
-          for (const element of currentElements) {
-            let searchRoot = element;
-            
-            // First apply the selector if provided
-            if (part.selector) {
-              const matches = element.querySelectorAll(part.selector);
-              for (const match of matches) {
-                // Get all descendants
-                const allDescendants = match.querySelectorAll('*');
-                for (const descendant of allDescendants) {
-                  if (elementMatchesRules(descendant, rules)) {
-                    nextResults.push(descendant);
-                  }
-                }
-              }
-            } else {
-              // No selector, just search all descendants of current element
-              const allDescendants = element.querySelectorAll('*');
-              for (const descendant of allDescendants) {
-                if (elementMatchesRules(descendant, rules)) {
-                  nextResults.push(descendant);
-                }
-              }
-            }
-          }
-        } else if (part.relationship === 'child') {
-          // > before {: search immediate children only
-          for (const element of currentElements) {
-            let searchRoots = [element];
-            
-            // First apply the selector if provided
-            if (part.selector) {
-              searchRoots = [];
-              const matches = element.querySelectorAll(part.selector);
-              searchRoots.push(...matches);
-            }
+    return (POSITION_KEYWORDS[x] || x) + ' ' + (POSITION_KEYWORDS[y] || y);
+  }
 
-            for (const searchRoot of searchRoots) {
-              const children = searchRoot.children;
-              for (const child of children) {
-                if (elementMatchesRules(child, rules)) {
-                  nextResults.push(child);
-                }
-              }
-            }
-          }
-        }
+  /**
+   * Expand a single-layer `background`. Only the components present are
+   * expanded; multi-layer backgrounds are left as they are.
+   * @param {string} value - Shorthand value
+   * @returns {Array|null} - Longhand pairs
+   */
+  function expandBackground(value) {
+    const allTokens = splitValueTokens(value);
+    if (allTokens.some(token => token.replace(/\([\s\S]*\)/, '').indexOf(',') !== -1)) return null;
 
-        currentElements = nextResults;
-      }
+    const groups = splitOnSlash(allTokens);
+    if (groups.length > 2) return null;
+
+    const longhands = [];
+    const repeats = [];
+    const positions = [];
+    const tokens = groups[0];
+
+    // Position tokens directly precede the `/`, size tokens follow it
+    const after = groups.length === 2 ? groups[1] : [];
+    let sizeLength = 0;
+    while (sizeLength < Math.min(2, after.length) &&
+      (isLengthToken(after[sizeLength]) || /^(auto|cover|contain)$/i.test(after[sizeLength]))) {
+      sizeLength++;
     }
+    if (groups.length === 2 && !sizeLength) return null;
+    const size = after.slice(0, sizeLength);
+    const rest = after.slice(sizeLength);
 
-    // Remove duplicates
-    const uniqueResults = [...new Set(currentElements)];
+    for (const token of tokens.concat(rest)) {
+      const lower = token.toLowerCase();
+      if (/^(url|(repeating-)?(linear|radial|conic)-gradient|image-set|image)\(/.test(lower) || lower === 'none') {
+        longhands.push(['background-image', token]);
+      } else if (BACKGROUND_REPEATS.indexOf(lower) !== -1) {
+        repeats.push(token);
+      } else if (BACKGROUND_ATTACHMENTS.indexOf(lower) !== -1) {
+        longhands.push(['background-attachment', token]);
+      } else if (BACKGROUND_BOXES.indexOf(lower) !== -1) {
+        continue;
+      } else if (POSITION_KEYWORDS.hasOwnProperty(lower) || isLengthToken(token)) {
+        positions.push(token);
+      } else {
+        longhands.push(['background-color', token]);
+      }
+    }
 
-    if (findAll) {
-      return uniqueResults;
-    } else {
-      return uniqueResults.length > 0 ? uniqueResults[0] : null;
+    if (repeats.length) longhands.push(['background-repeat', repeats.join(' ')]);
+    if (positions.length) {
+      const position = normalizeBackgroundPosition(positions);
+      if (!position) return null;
+      longhands.push(['background-position', position]);
     }
+    if (size.length) longhands.push(['background-size', size.join(' ')]);
+
+    return longhands.length ? longhands : null;
   }
 
   /**
-   * Query selector with CSS rules - returns first matching element
-   * @param {string} query - The CSS query with optional style rules
-   * @param {Element} root - Root element to search from (default: document)
-   * @returns {Element|null} - First matching element or null
+   * Create an expander for `start / end` grid line shorthands. A missing
+   * line copies the line it mirrors when that is a custom identifier,
+   * otherwise it is `auto`.
+   * @param {Array<string>} longhands - Longhands in shorthand order
+   * @param {Array<number>} mirrors - For each longhand, the index of the line it copies
+   * @returns {function(string): Array|null} - Shorthand expander
    */
-  function querySelectorWithCssRules(query, root = document) {
-    return executeQuery(query, root, false);
+  function gridLineExpander(longhands, mirrors) {
+    return function (value) {
+      const lines = splitOnSlash(splitValueTokens(value)).map(group => group.join(' '));
+      if (lines.length > longhands.length || lines.some(line => !line)) return null;
+
+      const isIdent = line => /^-?[a-z_][\w-]*$/i.test(line) && !/^(auto|span)$/i.test(line);
+      for (let index = lines.length; index < longhands.length; index++) {
+        const source = lines[mirrors[index]];
+        lines.push(isIdent(source) ? source : 'auto');
+      }
+
+      return longhands.map((longhand, index) => [longhand, lines[index]]);
+    };
   }
 
   /**
-   * Query selector all with CSS rules - returns all matching elements
-   * @param {string} query - The CSS query with optional style rules
-   * @param {Element} root - Root element to search from (default: document)
-   * @returns {Array<Element>} - Array of matching elements
+   * Shorthand properties mapped to the function that expands them into
+   * longhands. Each expander returns `[longhand, value]` pairs, or null when
+   * the value cannot be expanded and should be compared as written.
+   */
+  const SHORTHAND_EXPANDERS = {
+    'margin': boxExpander(side => 'margin-' + side),
+    'padding': boxExpander(side => 'padding-' + side),
+    'inset': boxExpander(side => side),
+    'border-width': boxExpander(side => 'border-' + side + '-width'),
+    'border-style': boxExpander(side => 'border-' + side + '-style'),
+    'border-color': boxExpander(side => 'border-' + side + '-color'),
+    'border': lineExpander(BOX_SIDES.map(side => 'border-' + side)),
+    'border-top': lineExpander(['border-top']),
+    'border-right': lineExpander(['border-right']),
+    'border-bottom': lineExpander(['border-bottom']),
+    'border-left': lineExpander(['border-left']),
+    'outline': lineExpander(['outline']),
+    'border-radius': expandBorderRadius,
+    'flex': expandFlex,
+    'flex-flow': expandFlexFlow,
+    'gap': pairExpander('row-gap', 'column-gap'),
+    'grid-gap': pairExpander('row-gap', 'column-gap'),
+    'place-items': pairExpander('align-items', 'justify-items'),
+    'place-content': pairExpander('align-content', 'justify-content'),
+    'place-self': pairExpander('align-self', 'justify-self'),
+    'font': expandFont,
+    'background': expandBackground,
+    'grid-area': gridLineExpander(['grid-row-start', 'grid-column-start', 'grid-row-end', 'grid-column-end'], [0, 0, 0, 1]),
+    'grid-row': gridLineExpander(['grid-row-start', 'grid-row-end'], [0, 0]),
+    'grid-column': gridLineExpander(['grid-column-start', 'grid-column-end'], [0, 0])
+  };
+
+  /**
+   * Expand a shorthand declaration into longhand declarations. Each longhand
+   * records the shorthand it came from so a mismatch can name both.
+   * Declarations using `!=` or a pattern operator are not expanded, because
+   * they do not distribute over the longhands.
+   * @param {Object} rule - Declaration from parseDeclaration
+   * @returns {Array<Object>} - Longhand declarations, or the original one
    */
-  function querySelectorAllWithCssRules(query, root = document) {
-    return executeQuery(query, root, true);
+  function expandShorthand(rule) {
+    const expander = SHORTHAND_EXPANDERS[rule.property.toLowerCase()];
+    if (!expander || rule.operator === '!=' || PATTERN_OPERATORS.indexOf(rule.operator) !== -1) {
+      return [rule];
+    }
+
+    const longhands = expander(rule.value);
+    if (!longhands || !longhands.length) return [rule];
+
+    return longhands.map(([property, value]) => Object.assign({}, rule, {
+      property,
+      value,
+      shorthand: rule.property
+    }));
+  }
+
+  /**
+   * Normalize a declaration's expected value once, so repeated evaluations
+   * only normalize the computed side. Values involving `currentcolor` depend
+   * on the candidate element and are left to be normalized per element.
+   * @param {Object} rule - Declaration
+   * @returns {Object} - The same declaration with a `compiled` field
+   */
+  function compileRule(rule) {
+    const lowered = rule.value.trim().toLowerCase();
+    const elementDependent = lowered.indexOf('currentcolor') !== -1;
+
+    rule.compiled = {
+      numeric: parseNumericValue(rule.value),
+      normalized: elementDependent ? null : normalizeCSSValue(rule.value),
+      color: elementDependent ? null : parseColor(lowered)
+    };
+    return rule;
+  }
+
+  /**
+   * Parse a rules string into declarations as written, without expanding
+   * shorthands. Nested blocks such as `::after { color: red }` apply to that
+   * pseudo-element.
+   * @param {string} rulesString - CSS rules as a string
+   * @param {string|null} [pseudo] - Pseudo-element the declarations apply to
+   * @param {Object} [context] - Parse context, with `offset` the position of
+   *   `rulesString` within the full query
+   * @returns {Array<Object>} - Declarations with property, operator, value,
+   *   their `start` and `end` offsets and, for pseudo-element declarations,
+   *   pseudo
+   * @throws {CSSQuerySyntaxError} - When a declaration is malformed
+   */
+  function parseDeclarations(rulesString, pseudo = null, context = { query: rulesString, offset: 0, lenient: false }) {
+    const declarations = [];
+
+    for (const declaration of splitDeclarations(rulesString, context)) {
+      const declarationContext = Object.assign({}, context, { offset: context.offset + declaration.offset });
+      const nestedMatch = declaration.text.match(/^(::?[\w-]+)(\s*\{)([\s\S]*)\}$/);
+      if (nestedMatch) {
+        const nestedPseudo = ('::' + nestedMatch[1].replace(/^::?/, '')).toLowerCase();
+        const nestedOffset = nestedMatch[1].length + nestedMatch[2].length;
+        declarations.push(...parseDeclarations(nestedMatch[3], nestedPseudo,
+          Object.assign({}, context, { offset: declarationContext.offset + nestedOffset })));
+        continue;
+      }
+
+      const rule = parseDeclaration(declaration.text, declarationContext);
+      if (rule) {
+        if (pseudo) rule.pseudo = pseudo;
+        rule.start = declarationContext.offset;
+        rule.end = declarationContext.offset + declaration.text.length;
+        declarations.push(rule);
+      }
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Parse CSS rules string into a list of declarations ready for matching,
+   * with shorthands expanded and expected values normalized
+   * @param {string} rulesString - CSS rules as a string
+   * @param {string|null} [pseudo] - Pseudo-element the declarations apply to
+   * @param {Object} [context] - Parse context
+   * @returns {Array<Object>} - Declarations, as from parseDeclarations
+   * @throws {CSSQuerySyntaxError} - When a declaration is malformed
+   */
+  function parseCSSRules(rulesString, pseudo = null, context = { query: rulesString, offset: 0, lenient: false }) {
+    const rules = [];
+
+    for (const rule of parseDeclarations(rulesString, pseudo, context)) {
+      rules.push(...expandShorthand(rule).map(compileRule));
+    }
+
+    return rules;
+  }
+
+  /**
+   * Normalize CSS property names (handle vendor prefixes, camelCase, etc.)
+   * @param {string} property - CSS property name
+   * @returns {string} - Normalized property name
+   */
+  function normalizePropertyName(property) {
+    // Convert kebab-case to camelCase for getComputedStyle
+    return property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * CSS named colors (CSS Color 4) as 6-digit hex
+   */
+  const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+    firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+    ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+    greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+    lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+    lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+    magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+    mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+  };
+
+  /**
+   * CSS system colors with the values browsers use in their default light
+   * color scheme. The real values depend on the platform, so these are a
+   * best effort for queries written against the defaults.
+   */
+  const SYSTEM_COLORS = {
+    accentcolor: '0075ff', accentcolortext: 'ffffff', activetext: 'ff0000', buttonborder: '767676',
+    buttonface: 'efefef', buttontext: '000000', canvas: 'ffffff', canvastext: '000000',
+    field: 'ffffff', fieldtext: '000000', graytext: '808080', highlight: '0078d7',
+    highlighttext: 'ffffff', linktext: '0000ee', mark: 'ffff00', marktext: '000000',
+    selecteditem: '0078d7', selecteditemtext: 'ffffff', visitedtext: '551a8b'
+  };
+
+  /**
+   * Matrix converting linear-light XYZ (D65) to linear-light sRGB
+   */
+  const XYZ_D65_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ];
+
+  /**
+   * Bradford chromatic adaptation from the D50 white point to D65
+   */
+  const XYZ_D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ];
+
+  /**
+   * Matrix converting linear-light Display P3 to XYZ (D65)
+   */
+  const LINEAR_P3_TO_XYZ_D65 = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ];
+
+  const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  /**
+   * Multiply a 3x3 matrix by a 3-component vector
+   * @param {Array<Array<number>>} matrix - 3x3 matrix
+   * @param {Array<number>} vector - 3-component vector
+   * @returns {Array<number>} - Resulting vector
+   */
+  function multiplyMatrix(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  /**
+   * Apply the sRGB transfer function to a linear-light channel
+   * @param {number} channel - Linear channel (0-1)
+   * @returns {number} - Gamma-encoded channel (0-1)
+   */
+  function gammaEncode(channel) {
+    const sign = channel < 0 ? -1 : 1;
+    const abs = Math.abs(channel);
+    return abs <= 0.0031308 ? channel * 12.92 : sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+  }
+
+  /**
+   * Remove the sRGB transfer function from a gamma-encoded channel
+   * @param {number} channel - Gamma-encoded channel (0-1)
+   * @returns {number} - Linear channel (0-1)
+   */
+  function gammaDecode(channel) {
+    const sign = channel < 0 ? -1 : 1;
+    const abs = Math.abs(channel);
+    return abs <= 0.04045 ? channel / 12.92 : sign * Math.pow((abs + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Build a color from linear-light sRGB channels
+   * @param {Array<number>} linear - Linear sRGB channels (0-1)
+   * @param {number} alpha - Alpha (0-1)
+   * @returns {Object} - Color with r, g, b (0-255) and a (0-1)
+   */
+  function fromLinearSrgb(linear, alpha) {
+    const [r, g, b] = linear.map(channel => gammaEncode(channel) * 255);
+    return { r, g, b, a: alpha };
+  }
+
+  /**
+   * Build a color from XYZ channels relative to the D65 white point
+   * @param {Array<number>} xyz - XYZ channels
+   * @param {number} alpha - Alpha (0-1)
+   * @returns {Object} - Color with r, g, b (0-255) and a (0-1)
+   */
+  function fromXyzD65(xyz, alpha) {
+    return fromLinearSrgb(multiplyMatrix(XYZ_D65_TO_LINEAR_SRGB, xyz), alpha);
+  }
+
+  /**
+   * Convert CIE Lab (D50) to XYZ (D50)
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - a axis
+   * @param {number} b - b axis
+   * @returns {Array<number>} - XYZ channels
+   */
+  function labToXyzD50(l, a, b) {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const f1 = (l + 16) / 116;
+    const f0 = a / 500 + f1;
+    const f2 = f1 - b / 200;
+
+    const x = Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa;
+    const y = l > kappa * epsilon ? Math.pow(f1, 3) : l / kappa;
+    const z = Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa;
+
+    return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+  }
+
+  /**
+   * Convert OKLab to linear-light sRGB
+   * @param {number} l - Lightness (0-1)
+   * @param {number} a - a axis
+   * @param {number} b - b axis
+   * @returns {Array<number>} - Linear sRGB channels
+   */
+  function oklabToLinearSrgb(l, a, b) {
+    const lms = [
+      Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3),
+      Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3),
+      Math.pow(l - 0.0894841775 * a - 1.2914855480 * b, 3)
+    ];
+    return multiplyMatrix([
+      [4.0767416621, -3.3077115913, 0.2309699292],
+      [-1.2684380046, 2.6097574011, -0.3413193965],
+      [-0.0041960863, -0.7034186147, 1.7076147010]
+    ], lms);
+  }
+
+  /**
+   * Convert HSL to a color
+   * @param {number} h - Hue (degrees)
+   * @param {number} s - Saturation (0-1)
+   * @param {number} l - Lightness (0-1)
+   * @param {number} alpha - Alpha (0-1)
+   * @returns {Object} - Color with r, g, b (0-255) and a (0-1)
+   */
+  function hslToColor(h, s, l, alpha) {
+    h = ((h % 360) + 360) % 360 / 360;
+
+    let r, g, b;
+
+    if (s === 0) {
+      r = g = b = l; // achromatic
+    } else {
+      const hue2rgb = function(p, q, t) {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1/6) return p + (q - p) * 6 * t;
+        if (t < 1/2) return q;
+        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+        return p;
+      };
+
+      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+      const p = 2 * l - q;
+      r = hue2rgb(p, q, h + 1/3);
+      g = hue2rgb(p, q, h);
+      b = hue2rgb(p, q, h - 1/3);
+    }
+
+    return { r: r * 255, g: g * 255, b: b * 255, a: alpha };
+  }
+
+  /**
+   * Convert a hex color (3, 4, 6 or 8 digits, without #) to a color
+   * @param {string} hex - Hex digits
+   * @returns {Object|null} - Color with r, g, b (0-255) and a (0-1)
+   */
+  function hexToColor(hex) {
+    // Expand shorthand forms (e.g. "03F" or "03F8") to full form
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(function(h) { return h + h; }).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+
+    return {
+      r: parseInt(hex.substring(0, 2), 16),
+      g: parseInt(hex.substring(2, 4), 16),
+      b: parseInt(hex.substring(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1
+    };
+  }
+
+  /**
+   * Parse a number, percentage or angle argument of a color function
+   * @param {string} token - Argument token
+   * @param {number} percentScale - Value that 100% maps to
+   * @returns {number} - Numeric value (angles in degrees); `none` is 0
+   */
+  function parseColorArgument(token, percentScale) {
+    if (token === 'none') return 0;
+    if (token.endsWith('%')) return parseFloat(token) / 100 * percentScale;
+
+    const numeric = parseNumericValue(token);
+    return numeric ? numeric.amount : NaN;
+  }
+
+  /**
+   * Parse a color function such as `rgb(255 0 0 / 50%)` or `oklch(0.6 0.2 30)`
+   * @param {string} name - Function name
+   * @param {string} body - Text between the parentheses
+   * @returns {Object|null} - Color with r, g, b (0-255) and a (0-1)
+   */
+  function parseColorFunction(name, body) {
+    const [channelText, alphaText] = body.split('/');
+    const tokens = channelText.replace(/,/g, ' ').trim().split(/\s+/);
+    let alphaToken = alphaText !== undefined ? alphaText.trim() : undefined;
+
+    // The legacy comma syntax passes alpha as a fourth argument
+    if (alphaToken === undefined && tokens.length === 4 && name !== 'color') {
+      alphaToken = tokens.pop();
+    }
+
+    const alpha = alphaToken === undefined ? 1 : parseColorArgument(alphaToken, 1);
+    const arg = (index, percentScale) => parseColorArgument(tokens[index] || '', percentScale);
+
+    let color = null;
+    switch (name) {
+      case 'rgb':
+      case 'rgba':
+        color = { r: arg(0, 255), g: arg(1, 255), b: arg(2, 255), a: alpha };
+        break;
+      case 'hsl':
+      case 'hsla':
+        color = hslToColor(arg(0, 360), arg(1, 100) / 100, arg(2, 100) / 100, alpha);
+        break;
+      case 'hwb': {
+        let white = arg(1, 100) / 100;
+        let black = arg(2, 100) / 100;
+        if (white + black >= 1) {
+          const gray = white / (white + black) * 255;
+          color = { r: gray, g: gray, b: gray, a: alpha };
+        } else {
+          const pure = hslToColor(arg(0, 360), 1, 0.5, alpha);
+          const scale = channel => channel * (1 - white - black) + white * 255;
+          color = { r: scale(pure.r), g: scale(pure.g), b: scale(pure.b), a: alpha };
+        }
+        break;
+      }
+      case 'lab':
+      case 'lch': {
+        const l = arg(0, 100);
+        let a = arg(1, name === 'lab' ? 125 : 150);
+        let b = arg(2, 125);
+        if (name === 'lch') {
+          const hue = arg(2, 360) * Math.PI / 180;
+          b = a * Math.sin(hue);
+          a = a * Math.cos(hue);
+        }
+        color = fromXyzD65(multiplyMatrix(XYZ_D50_TO_D65, labToXyzD50(l, a, b)), alpha);
+        break;
+      }
+      case 'oklab':
+      case 'oklch': {
+        const l = arg(0, 1);
+        let a = arg(1, 0.4);
+        let b = arg(2, 0.4);
+        if (name === 'oklch') {
+          const hue = arg(2, 360) * Math.PI / 180;
+          b = a * Math.sin(hue);
+          a = a * Math.cos(hue);
+        }
+        color = fromLinearSrgb(oklabToLinearSrgb(l, a, b), alpha);
+        break;
+      }
+      case 'color': {
+        const space = tokens.shift();
+        const channels = [arg(0, 1), arg(1, 1), arg(2, 1)];
+        if (space === 'srgb') {
+          color = { r: channels[0] * 255, g: channels[1] * 255, b: channels[2] * 255, a: alpha };
+        } else if (space === 'srgb-linear') {
+          color = fromLinearSrgb(channels, alpha);
+        } else if (space === 'display-p3') {
+          color = fromXyzD65(multiplyMatrix(LINEAR_P3_TO_XYZ_D65, channels.map(gammaDecode)), alpha);
+        } else if (space === 'xyz' || space === 'xyz-d65') {
+          color = fromXyzD65(channels, alpha);
+        } else if (space === 'xyz-d50') {
+          color = fromXyzD65(multiplyMatrix(XYZ_D50_TO_D65, channels), alpha);
+        }
+        break;
+      }
+    }
+
+    if (!color || [color.r, color.g, color.b, color.a].some(isNaN)) return null;
+    return color;
+  }
+
+  /**
+   * Parse any CSS color value into its sRGB channels
+   * @param {string} value - Lowercased, trimmed CSS value
+   * @param {Element} [element] - Element used to resolve `currentcolor`
+   * @returns {Object|null} - Color with r, g, b (0-255) and a (0-1), or null
+   */
+  function parseColor(value, element) {
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+    if (value === 'currentcolor') {
+      if (!element) return null;
+      const view = element.ownerDocument.defaultView || window;
+      const color = view.getComputedStyle(element).color.trim().toLowerCase();
+      return color === 'currentcolor' ? null : parseColor(color);
+    }
+
+    if (NAMED_COLORS.hasOwnProperty(value)) return hexToColor(NAMED_COLORS[value]);
+    if (SYSTEM_COLORS.hasOwnProperty(value)) return hexToColor(SYSTEM_COLORS[value]);
+
+    const hexMatch = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hexMatch) return hexToColor(hexMatch[1]);
+
+    const functionMatch = value.match(/^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(([^()]*)\)$/);
+    if (functionMatch) return parseColorFunction(functionMatch[1], functionMatch[2]);
+
+    return null;
+  }
+
+  /**
+   * Format a color in the canonical form used for comparison:
+   * `rgb(r,g,b)` when opaque, `rgba(r,g,b,a)` otherwise. Channels are
+   * clamped to the sRGB gamut and rounded; alpha is rounded to two decimals
+   * because browsers store it with 8-bit precision.
+   * @param {Object} color - Color with r, g, b (0-255) and a (0-1)
+   * @returns {string} - Canonical color string
+   */
+  function formatColor(color) {
+    const channel = value => Math.round(Math.min(255, Math.max(0, value)));
+    const alpha = Math.round(Math.min(1, Math.max(0, color.a)) * 100) / 100;
+    const rgb = channel(color.r) + ',' + channel(color.g) + ',' + channel(color.b);
+
+    return alpha === 1 ? 'rgb(' + rgb + ')' : 'rgba(' + rgb + ',' + alpha + ')';
+  }
+
+  /**
+   * Normalize CSS values for comparison
+   * @param {string} value - CSS value
+   * @param {Element} [element] - Element used to resolve `currentcolor`
+   * @returns {string} - Normalized value
+   */
+  function normalizeCSSValue(value, element) {
+    if (!value) return '';
+    
+    // Trim and lowercase
+    value = value.trim().toLowerCase();
+    
+    // A value that is a single color (named, system, hex or functional)
+    const color = parseColor(value, element);
+    if (color) {
+      return formatColor(color);
+    }
+
+    // Colors embedded in larger values, e.g. box-shadow or gradients
+    value = value.replace(/\b(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(([^()]*)\)/g, function(match, name, body) {
+      const embedded = parseColorFunction(name, body);
+      return embedded ? formatColor(embedded) : match;
+    });
+    value = value.replace(/(^|[\s,])#([0-9a-f]{3,8})\b/g, function(match, prefix, hex) {
+      const embedded = hexToColor(hex);
+      return embedded ? prefix + formatColor(embedded) : match;
+    });
+    
+    // Remove all whitespace for consistent comparison
+    // This handles rgb(255, 0, 0) vs rgb(255,0,0) and extra spaces
+    value = value.replace(/\s+/g, '');
+    
+    return value;
+  }
+
+  /**
+   * Units understood by numeric comparisons, mapped to their category and
+   * the factor that converts them to the category's canonical unit
+   * (px for lengths, ms for times, deg for angles).
+   */
+  const NUMERIC_UNITS = {
+    '': ['number', 1],
+    '%': ['percentage', 1],
+    'px': ['length', 1],
+    'cm': ['length', 96 / 2.54],
+    'mm': ['length', 96 / 25.4],
+    'q': ['length', 96 / 101.6],
+    'in': ['length', 96],
+    'pt': ['length', 4 / 3],
+    'pc': ['length', 16],
+    'ms': ['time', 1],
+    's': ['time', 1000],
+    'deg': ['angle', 1],
+    'grad': ['angle', 0.9],
+    'rad': ['angle', 180 / Math.PI],
+    'turn': ['angle', 360]
+  };
+
+  /**
+   * Parse a single numeric CSS value into its category and canonical amount
+   * @param {string} value - CSS value (e.g. "16px", "1.5s", "10")
+   * @returns {Object|null} - { category, amount } or null if not numeric
+   */
+  function parseNumericValue(value) {
+    const match = String(value).trim().toLowerCase()
+      .match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/);
+    if (!match || !NUMERIC_UNITS.hasOwnProperty(match[2])) return null;
+
+    const unit = NUMERIC_UNITS[match[2]];
+    return { category: unit[0], amount: parseFloat(match[1]) * unit[1] };
+  }
+
+  /**
+   * Slack for floating point error when converting between units
+   */
+  const NUMERIC_EPSILON = 1e-6;
+
+  /**
+   * Matrix converting linear-light sRGB to XYZ (D65)
+   */
+  const LINEAR_SRGB_TO_XYZ_D65 = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496606]
+  ];
+
+  const D65_WHITE = [0.3127 / 0.3290, 1, (1 - 0.3127 - 0.3290) / 0.3290];
+
+  /**
+   * Convert a color to CIE Lab relative to the D65 white point
+   * @param {Object} color - Color with r, g, b (0-255)
+   * @returns {Array<number>} - [L, a, b]
+   */
+  function colorToLab(color) {
+    const linear = [color.r, color.g, color.b].map(channel => gammaDecode(channel / 255));
+    const xyz = multiplyMatrix(LINEAR_SRGB_TO_XYZ_D65, linear);
+    const f = xyz.map((value, index) => {
+      const ratio = value / D65_WHITE[index];
+      return ratio > 216 / 24389 ? Math.cbrt(ratio) : (24389 / 27 * ratio + 16) / 116;
+    });
+
+    return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+  }
+
+  /**
+   * Perceptual distance between two colors using CIEDE2000. A difference in
+   * alpha adds to the distance at 1 unit per percent of opacity.
+   * @param {Object} first - Color with r, g, b (0-255) and a (0-1)
+   * @param {Object} second - Color with r, g, b (0-255) and a (0-1)
+   * @returns {number} - deltaE (about 2.3 is the just noticeable difference)
+   */
+  function colorDistance(first, second) {
+    const [l1, a1, b1] = colorToLab(first);
+    const [l2, a2, b2] = colorToLab(second);
+    const rad = Math.PI / 180;
+
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => (b === 0 && a === 0) ? 0 : (Math.atan2(b, a) / rad + 360) % 360;
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const deltaL = l2 - l1;
+    const deltaC = c2p - c1p;
+    let deltaH = 0;
+    if (c1p * c2p !== 0) {
+      deltaH = h2p - h1p;
+      if (deltaH > 180) deltaH -= 360;
+      else if (deltaH < -180) deltaH += 360;
+    }
+    const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltaH * rad / 2);
+
+    const lMean = (l1 + l2) / 2;
+    const cMean = (c1p + c2p) / 2;
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+      hMean = Math.abs(h1p - h2p) > 180
+        ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2
+        : (h1p + h2p) / 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos((hMean - 30) * rad) + 0.24 * Math.cos(2 * hMean * rad) +
+      0.32 * Math.cos((3 * hMean + 6) * rad) - 0.20 * Math.cos((4 * hMean - 63) * rad);
+    const sl = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+    const sc = 1 + 0.045 * cMean;
+    const sh = 1 + 0.015 * cMean * t;
+    const cMeanP7 = Math.pow(cMean, 7);
+    const rt = -2 * Math.sqrt(cMeanP7 / (cMeanP7 + Math.pow(25, 7))) *
+      Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+
+    const deltaE = Math.sqrt(
+      Math.pow(deltaL / sl, 2) + Math.pow(deltaC / sc, 2) + Math.pow(deltaHp / sh, 2) +
+      rt * (deltaC / sc) * (deltaHp / sh)
+    );
+    const deltaAlpha = (first.a - second.a) * 100;
+
+    return Math.hypot(deltaE, deltaAlpha);
+  }
+
+  /**
+   * Compare two numeric CSS values
+   * @param {string} actual - Computed value
+   * @param {string} expected - Value from the query
+   * @param {Object|null} [parsedExpected] - Expected value already parsed by parseNumericValue
+   * @returns {number|null} - Negative, zero or positive like a sort comparator,
+   *   or null when the values are not numbers of the same category
+   */
+  function compareNumericValues(actual, expected, parsedExpected) {
+    const a = parseNumericValue(actual);
+    const b = parsedExpected !== undefined ? parsedExpected : parseNumericValue(expected);
+    if (!a || !b) return null;
+
+    // A unitless zero is a valid length, time, angle, etc.
+    const compatible = a.category === b.category ||
+      (a.category === 'number' && a.amount === 0) ||
+      (b.category === 'number' && b.amount === 0);
+    if (!compatible) return null;
+
+    return a.amount - b.amount;
+  }
+
+  /**
+   * Normalize text for prefix/suffix/substring matching. Quotes are dropped
+   * and whitespace collapsed because browsers disagree on both (for example
+   * `"Inter", sans-serif` versus `Inter, sans-serif`).
+   * @param {string} value - CSS value
+   * @returns {string} - Normalized text
+   */
+  function normalizePatternText(value) {
+    return String(value || '').toLowerCase().replace(/["']/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Matches numbers followed by a unit that depends on the element or viewport
+   */
+  const RELATIVE_UNIT_PATTERN = /([+-]?(?:\d+\.?\d*|\.\d+))(rem|em|vw|vh|vmin|vmax|%)(?![\w-])/gi;
+
+  /**
+   * Properties whose percentages refer to the containing block's width or height
+   */
+  const PERCENT_OF_WIDTH = /^(width|min-width|max-width|left|right|margin-(top|right|bottom|left)|padding-(top|right|bottom|left)|text-indent|column-gap)$/;
+  const PERCENT_OF_HEIGHT = /^(height|min-height|max-height|top|bottom|row-gap)$/;
+
+  /**
+   * Read a px length from a computed style
+   * @param {Element} element - Element to read from
+   * @param {string} property - Property holding a px value
+   * @returns {number} - The length in px, or NaN
+   */
+  function getPixelValue(element, property) {
+    const view = element.ownerDocument.defaultView || window;
+    return parseFloat(view.getComputedStyle(element).getPropertyValue(property));
+  }
+
+  /**
+   * Find the size of an element's containing block
+   * @param {Element} element - Element whose containing block to measure
+   * @returns {Object|null} - { width, height } in px, or null if unknown
+   */
+  function getContainingBlockSize(element) {
+    const documentElement = element.ownerDocument.documentElement;
+    const view = element.ownerDocument.defaultView || window;
+    const position = view.getComputedStyle(element).position;
+    const viewport = {
+      width: documentElement.clientWidth || view.innerWidth,
+      height: documentElement.clientHeight || view.innerHeight
+    };
+
+    if (position === 'fixed') return viewport;
+
+    let block = element.parentElement;
+    if (position === 'absolute') {
+      while (block && block !== documentElement && view.getComputedStyle(block).position === 'static') {
+        block = block.parentElement;
+      }
+    }
+    if (!block || block === documentElement) return viewport;
+
+    // Absolutely positioned elements use the padding box, others the content box
+    if (position === 'absolute') {
+      return { width: block.clientWidth, height: block.clientHeight };
+    }
+    return {
+      width: block.clientWidth - getPixelValue(block, 'padding-left') - getPixelValue(block, 'padding-right'),
+      height: block.clientHeight - getPixelValue(block, 'padding-top') - getPixelValue(block, 'padding-bottom')
+    };
+  }
+
+  /**
+   * Convert em, rem, viewport and percentage lengths in an expected value to
+   * px for a specific element, the way the browser computes them
+   * @param {string} value - Expected value from the query
+   * @param {string} property - Property the value belongs to
+   * @param {Element} element - Candidate element
+   * @returns {string} - Value with relative lengths replaced by px
+   */
+  function resolveRelativeUnits(value, property, element) {
+    const view = element.ownerDocument.defaultView || window;
+    const name = property.toLowerCase();
+    let containingBlock;
+
+    return value.replace(RELATIVE_UNIT_PATTERN, function(match, amount, unit) {
+      let base;
+      switch (unit.toLowerCase()) {
+        case 'em':
+          // font-size: 2em is relative to the parent's font size
+          base = name === 'font-size'
+            ? (element.parentElement ? getPixelValue(element.parentElement, 'font-size') : NaN)
+            : getPixelValue(element, 'font-size');
+          break;
+        case 'rem':
+          base = getPixelValue(element.ownerDocument.documentElement, 'font-size');
+          break;
+        case 'vw':
+          base = view.innerWidth / 100;
+          break;
+        case 'vh':
+          base = view.innerHeight / 100;
+          break;
+        case 'vmin':
+          base = Math.min(view.innerWidth, view.innerHeight) / 100;
+          break;
+        case 'vmax':
+          base = Math.max(view.innerWidth, view.innerHeight) / 100;
+          break;
+        case '%':
+          if (name === 'font-size') {
+            base = element.parentElement ? getPixelValue(element.parentElement, 'font-size') / 100 : NaN;
+          } else if (name === 'line-height') {
+            base = getPixelValue(element, 'font-size') / 100;
+          } else if (PERCENT_OF_WIDTH.test(name) || PERCENT_OF_HEIGHT.test(name)) {
+            containingBlock = containingBlock || getContainingBlockSize(element);
+            base = (PERCENT_OF_WIDTH.test(name) ? containingBlock.width : containingBlock.height) / 100;
+          }
+          break;
+      }
+
+      if (base === undefined || isNaN(base)) return match;
+      return Math.round(parseFloat(amount) * base * 10000) / 10000 + 'px';
+    });
+  }
+
+  /**
+   * Look up how far a value may deviate and still count as equal, or still
+   * satisfy a comparison
+   * @param {string} category - Value category ('length', 'number', 'color', ...)
+   * @param {Object} rule - Declaration, possibly with its own tolerance
+   * @param {Object} options - Query options, possibly with a tolerance map
+   * @returns {number} - Allowed deviation in the category's canonical unit
+   */
+  function getTolerance(category, rule, options) {
+    if (rule.tolerance && (rule.tolerance.category === category || rule.tolerance.category === 'number')) {
+      return Math.abs(rule.tolerance.amount);
+    }
+    const tolerances = (options && options.tolerance) || {};
+    return Math.abs(tolerances[category] || 0);
+  }
+
+  /**
+   * Compare one expected value against a computed value
+   * @param {string} operator - Equality or comparison operator
+   * @param {string} expected - Expected value
+   * @param {string} actual - Computed value
+   * @param {Element} element - Element the value was computed for
+   * @param {Object} rule - Declaration being checked, for its tolerance
+   * @param {Object} options - Query options
+   * @returns {boolean} - True if the comparison holds
+   */
+  function compareValues(operator, expected, actual, element, rule, options) {
+    // Use the forms prepared at compile time unless the value was rewritten
+    // for this element or depends on it
+    const compiled = expected === rule.value ? rule.compiled : null;
+    const expectedNumeric = compiled ? compiled.numeric : parseNumericValue(expected);
+    const difference = compareNumericValues(actual, expected, expectedNumeric);
+
+    if (operator === '=') {
+      if (difference !== null) {
+        return Math.abs(difference) <= getTolerance(expectedNumeric.category, rule, options) + NUMERIC_EPSILON;
+      }
+
+      const colorTolerance = getTolerance('color', rule, options);
+      if (colorTolerance > 0) {
+        const expectedColor = compiled && compiled.color
+          ? compiled.color
+          : parseColor(String(expected).trim().toLowerCase(), element);
+        const actualColor = parseColor(String(actual || '').trim().toLowerCase(), element);
+        if (expectedColor && actualColor) {
+          return colorDistance(expectedColor, actualColor) <= colorTolerance;
+        }
+      }
+
+      const expectedNormalized = compiled && compiled.normalized !== null
+        ? compiled.normalized
+        : normalizeCSSValue(expected, element);
+      return expectedNormalized === normalizeCSSValue(actual, element);
+    }
+
+    if (difference === null) return false;
+
+    // A tolerance moves the bound towards the actual value by its amount
+    const tolerance = getTolerance(expectedNumeric.category, rule, options);
+    switch (operator) {
+      case '>': return difference > -tolerance;
+      case '>=': return difference >= -tolerance - NUMERIC_EPSILON;
+      case '<': return difference < tolerance;
+      case '<=': return difference <= tolerance + NUMERIC_EPSILON;
+      default: return false;
+    }
+  }
+
+  /**
+   * Check whether a computed value satisfies a single declaration
+   * @param {Object} rule - Declaration with property, operator and value
+   * @param {string} actualValue - Computed value of the property
+   * @param {Element} element - Element the value was computed for
+   * @param {Object} [options] - Query options (tolerance)
+   * @returns {boolean} - True if the value satisfies the declaration
+   */
+  function valueMatchesRule(rule, actualValue, element, options) {
+    if (rule.operator === '~=') {
+      return rule.pattern.test(actualValue || '');
+    }
+
+    if (PATTERN_OPERATORS.indexOf(rule.operator) !== -1) {
+      const actualText = normalizePatternText(actualValue);
+      const expectedText = normalizePatternText(rule.value);
+
+      switch (rule.operator) {
+        case '^=': return actualText.startsWith(expectedText);
+        case '$=': return actualText.endsWith(expectedText);
+        case '*=': return actualText.indexOf(expectedText) !== -1;
+      }
+    }
+
+    // Relative lengths are tried both as written (for values the browser
+    // leaves unresolved, such as percentages without layout) and in px
+    const expectedValues = [rule.value];
+    RELATIVE_UNIT_PATTERN.lastIndex = 0;
+    if (element && RELATIVE_UNIT_PATTERN.test(rule.value)) {
+      const resolved = resolveRelativeUnits(rule.value, rule.property, element);
+      if (resolved !== rule.value) expectedValues.push(resolved);
+    }
+
+    if (rule.operator === '!=') {
+      return !expectedValues.some(expected => compareValues('=', expected, actualValue, element, rule, options));
+    }
+    return expectedValues.some(expected => compareValues(rule.operator, expected, actualValue, element, rule, options));
+  }
+
+  /**
+   * Check whether a pseudo-element is generated for its host. `::before` and
+   * `::after` only exist when their `content` is not `none` or `normal`.
+   * @param {CSSStyleDeclaration} computedStyle - Computed style of the pseudo-element
+   * @param {string} pseudo - Pseudo-element name
+   * @returns {boolean} - True if the pseudo-element is rendered
+   */
+  function pseudoElementExists(computedStyle, pseudo) {
+    if (pseudo !== '::before' && pseudo !== '::after') return true;
+    const content = (computedStyle.content || computedStyle.getPropertyValue('content') || '').trim();
+    return content !== 'none' && content !== 'normal';
+  }
+
+  /**
+   * Mutations that can change computed styles, and so which elements match
+   */
+  const OBSERVED_MUTATIONS = { subtree: true, childList: true, attributes: true, characterData: true };
+
+  /**
+   * Create a cache of computed style values keyed by element, pseudo-element
+   * and property, so each value is read from the browser once. Without a
+   * root the cache lives as long as it is referenced (one query evaluation);
+   * with a root, a MutationObserver clears it whenever the subtree changes.
+   * Changes no observer sees, such as media queries or `:hover`, need an
+   * explicit `invalidate()`.
+   * @param {Node} [root] - Subtree whose mutations clear the cache
+   * @returns {Object} - Cache with `invalidate()` and `disconnect()`
+   */
+  function createStyleCache(root) {
+    let entries = new WeakMap();
+    let observer = null;
+
+    const cache = {
+      /**
+       * Read a computed style value
+       * @param {Element} element - Element to read from
+       * @param {string|null} pseudo - Pseudo-element, or null for the element
+       * @param {string} property - CSS property name
+       * @returns {string|null} - The value, or null when the pseudo-element
+       *   is not generated
+       */
+      read(element, pseudo, property) {
+        // Mutations made since the last read have not reached the observer
+        // callback yet
+        if (observer && observer.takeRecords().length) cache.invalidate();
+
+        let styles = entries.get(element);
+        if (!styles) {
+          styles = {};
+          entries.set(element, styles);
+        }
+
+        const key = pseudo || '';
+        if (!styles.hasOwnProperty(key)) {
+          // Each frame computes styles, viewport units and media queries
+          // against its own window
+          const view = element.ownerDocument.defaultView || window;
+          const computedStyle = view.getComputedStyle(element, pseudo || null);
+          styles[key] = pseudo && !pseudoElementExists(computedStyle, pseudo)
+            ? null
+            : { computedStyle: computedStyle, values: {} };
+        }
+
+        const entry = styles[key];
+        if (!entry) return null;
+        if (!entry.values.hasOwnProperty(property)) {
+          entry.values[property] = entry.computedStyle[normalizePropertyName(property)] ||
+            entry.computedStyle.getPropertyValue(property);
+        }
+        return entry.values[property];
+      },
+
+      /**
+       * Forget every cached value
+       */
+      invalidate() {
+        entries = new WeakMap();
+      },
+
+      /**
+       * Stop watching the root for mutations
+       */
+      disconnect() {
+        if (observer) observer.disconnect();
+        observer = null;
+      }
+    };
+
+    if (root && typeof MutationObserver !== 'undefined') {
+      observer = new MutationObserver(() => cache.invalidate());
+      observer.observe(root, OBSERVED_MUTATIONS);
+    }
+
+    return cache;
+  }
+
+  /**
+   * Find the first declaration an element does not satisfy
+   * @param {Element} element - DOM element to check
+   * @param {Array<Object>} rules - Declarations from parseCSSRules
+   * @param {Object} [options] - Query options (tolerance, cache)
+   * @returns {Object|null} - { property, pseudo, shorthand, expected, actual }
+   *   for the failing declaration (shorthand is set when it was expanded from
+   *   one; actual is null when the pseudo-element does not exist), or null if
+   *   every declaration matches
+   */
+  function findFailedRule(element, rules, options) {
+    const cache = (options && options.cache) || createStyleCache();
+
+    for (const rule of rules) {
+      const actualValue = cache.read(element, rule.pseudo || null, rule.property);
+
+      if (actualValue === null || !valueMatchesRule(rule, actualValue, element, options)) {
+        return {
+          property: rule.property,
+          pseudo: rule.pseudo || null,
+          shorthand: rule.shorthand || null,
+          expected: rule.value,
+          actual: actualValue
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if an element matches the given CSS rules
+   * @param {Element} element - DOM element to check
+   * @param {Array<Object>} rules - Declarations from parseCSSRules
+   * @param {Object} [options] - Query options (tolerance, cache)
+   * @returns {boolean} - True if element matches all rules
+   */
+  function elementMatchesRules(element, rules, options) {
+    return findFailedRule(element, rules, options) === null;
+  }
+
+  /**
+   * Parse the rule blocks of a query part into a match condition
+   * @param {Object} part - Query part from parseQuery
+   * @param {Object} context - Parse context
+   * @returns {Object} - { anyOf, noneOf }, each a list of declaration lists
+   * @throws {CSSQuerySyntaxError} - When a declaration is malformed
+   */
+  function parseCondition(part, context) {
+    const condition = { anyOf: [], noneOf: [] };
+    for (const block of part.blocks) {
+      const rules = parseCSSRules(block.rules, part.pseudo, Object.assign({}, context, { offset: block.offset }));
+      (block.negated ? condition.noneOf : condition.anyOf).push(rules);
+    }
+    return condition;
+  }
+
+  /**
+   * Check if an element satisfies a part's condition: any of its blocks
+   * (all of them when there are no alternatives) and none of its negated ones
+   * @param {Element} element - DOM element to check
+   * @param {Object} condition - Condition from parseCondition
+   * @param {Object} [options] - Query options (tolerance, cache)
+   * @returns {boolean} - True if the element satisfies the condition
+   */
+  function elementMatchesCondition(element, condition, options) {
+    if (condition.anyOf.length && !condition.anyOf.some(rules => elementMatchesRules(element, rules, options))) {
+      return false;
+    }
+    return !condition.noneOf.some(rules => elementMatchesRules(element, rules, options));
+  }
+
+  /**
+   * Score how much of a condition an element satisfies, for ranked queries:
+   * the weighted fraction of the declarations of its best positive block,
+   * with each negated block counting as one more declaration that holds
+   * when the block does not match. A shorthand's weight is shared by the
+   * longhands it expands to.
+   * @param {Element} element - DOM element to check
+   * @param {Object} condition - Condition from parseCondition
+   * @param {Object} options - Query options (tolerance, cache, weights)
+   * @returns {Object} - `{ score, failed }`, score from 0 to 1 and failed as
+   *   from findFailedRule, or `{ negated: true, rules }` for a matched
+   *   negated block
+   */
+  function scoreCondition(element, condition, options) {
+    const weights = options.weights || {};
+    let best = null;
+
+    for (const rules of condition.anyOf) {
+      // Longhands expanded from one declaration share its start offset
+      const shares = new Map();
+      for (const rule of rules) shares.set(rule.start, (shares.get(rule.start) || 0) + 1);
+
+      const block = { satisfied: 0, total: 0, failed: [] };
+      for (const rule of rules) {
+        const declared = rule.shorthand || rule.property;
+        const weight = (Object.prototype.hasOwnProperty.call(weights, declared) ? weights[declared] : 1) /
+          shares.get(rule.start);
+        const failure = findFailedRule(element, [rule], options);
+        block.total += weight;
+        if (failure) block.failed.push(failure);
+        else block.satisfied += weight;
+      }
+
+      const ratio = result => result.total ? result.satisfied / result.total : 1;
+      if (!best || ratio(block) > ratio(best)) best = block;
+    }
+
+    best = best || { satisfied: 0, total: 0, failed: [] };
+    for (const rules of condition.noneOf) {
+      best.total += 1;
+      if (elementMatchesRules(element, rules, options)) best.failed.push({ negated: true, rules: rules });
+      else best.satisfied += 1;
+    }
+
+    return { score: best.total ? best.satisfied / best.total : 1, failed: best.failed };
+  }
+
+  /**
+   * Split a query into its comma-separated groups. Commas inside rule blocks,
+   * quotes, parentheses (`:is(.a, .b)`) and brackets do not separate groups.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Object} [context] - Parse context
+   * @returns {Array<Object>} - Non-empty query groups as `{ text, offset }`
+   * @throws {CSSQuerySyntaxError} - On an empty group such as `.a, , .b`
+   */
+  function splitSelectorGroups(query, context = { query: query, offset: 0, lenient: false }) {
+    const groups = [];
+    let current = '';
+    let start = 0;
+    let depth = 0;
+    let quoteChar = '';
+    let inRegex = false;
+
+    for (let i = 0; i < query.length; i++) {
+      const char = query[i];
+
+      if (quoteChar || inRegex) {
+        if (char === '\\') {
+          current += char + (query[i + 1] || '');
+          i++;
+          continue;
+        }
+        if (quoteChar && char === quoteChar) quoteChar = '';
+        else if (inRegex && char === '/') inRegex = false;
+      } else if (char === '"' || char === "'") {
+        quoteChar = char;
+      } else if (char === '/' && depth > 0 && /~=\s*$/.test(current)) {
+        inRegex = true;
+      } else if (char === '{' || char === '(' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ')' || char === ']') && depth > 0) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        if (!current.trim()) {
+          reportSyntaxError(context, i, "Unexpected ','", 'expected a selector before the comma');
+        }
+        groups.push({ text: current, offset: start });
+        current = '';
+        start = i + 1;
+        continue;
+      }
+
+      current += char;
+    }
+    if (!current.trim() && groups.length) {
+      reportSyntaxError(context, query.length, 'Unexpected end of query', 'expected a selector after the comma');
+    }
+    groups.push({ text: current, offset: start });
+
+    return groups.filter(group => group.text.trim());
+  }
+
+  /**
+   * Parse a query into an AST for tooling. Nodes carry `start` and `end`
+   * offsets into the query; declarations are as written, before shorthand
+   * expansion.
+   *
+   * - Query: `{ type: 'Query', source, groups }`
+   * - Group: `{ type: 'Group', parts, start, end }`, one per comma-separated
+   *   selector group
+   * - Part: `{ type: 'Part', selector, relationship, pseudo, blocks, start,
+   *   end }`, where `relationship` is `'filter'`, `'descendant'`, `'child'`,
+   *   `'adjacent'`, `'sibling'`, or null for a plain selector without blocks
+   * - Block: `{ type: 'Block', negated, declarations, start, end }`; blocks
+   *   after the first that are not negated are alternatives
+   * - Declaration: `{ type: 'Declaration', property, operator, value,
+   *   tolerance, pseudo, start, end }`, where `operator` is `'='` for
+   *   `property: value` and `tolerance` is `{ category, amount }` or null
+   *
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Object} [options] - Parse options (lenient)
+   * @returns {Object} - Query node
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function parse(query, options = {}) {
+    const context = { query: query, offset: 0, lenient: !!options.lenient };
+
+    return {
+      type: 'Query',
+      source: query,
+      groups: splitSelectorGroups(query, context).map(group => {
+        const groupContext = Object.assign({}, context, { offset: group.offset });
+        const leading = group.text.length - group.text.trimStart().length;
+        return {
+          type: 'Group',
+          parts: parseQuery(group.text, groupContext).map(part => ({
+            type: 'Part',
+            selector: part.selector,
+            relationship: part.relationship || null,
+            pseudo: part.pseudo || null,
+            blocks: (part.blocks || []).map(block => ({
+              type: 'Block',
+              negated: block.negated,
+              declarations: parseDeclarations(block.rules, null, Object.assign({}, context, { offset: block.offset }))
+                .map(rule => ({
+                  type: 'Declaration',
+                  property: rule.property,
+                  operator: rule.operator,
+                  value: rule.value,
+                  tolerance: rule.tolerance || null,
+                  pseudo: rule.pseudo || null,
+                  start: rule.start,
+                  end: rule.end
+                })),
+              start: block.start,
+              end: block.end
+            })),
+            start: part.start,
+            end: part.end
+          })),
+          start: group.offset + leading,
+          end: group.offset + group.text.trimEnd().length
+        };
+      })
+    };
+  }
+
+  /**
+   * Canonical units tolerances are printed in, per value category
+   */
+  const TOLERANCE_UNITS = { length: 'px', number: '', percentage: '%', time: 'ms', angle: 'deg' };
+
+  /**
+   * Print a declaration node
+   * @param {Object} declaration - Declaration node
+   * @returns {string} - Declaration text without the trailing semicolon
+   */
+  function stringifyDeclaration(declaration) {
+    const operator = declaration.operator || '=';
+    let text;
+
+    if (PATTERN_OPERATORS.indexOf(operator) !== -1) {
+      // `~=` keeps its regular expression literal; the others are strings
+      const value = operator === '~=' ? declaration.value : '"' + declaration.value.replace(/["\\]/g, '\\$&') + '"';
+      text = declaration.property + ' ' + operator + ' ' + value;
+    } else {
+      text = declaration.property + ': ' + (operator === '=' ? '' : operator + ' ') + declaration.value;
+    }
+
+    if (declaration.tolerance) {
+      const amount = Number(declaration.tolerance.amount.toFixed(6));
+      text += ' ±' + amount + TOLERANCE_UNITS[declaration.tolerance.category];
+    }
+    return text;
+  }
+
+  /**
+   * Print a block node, grouping pseudo-element declarations into nested blocks
+   * @param {Object} block - Block node
+   * @returns {string} - Block text including its braces
+   */
+  function stringifyBlock(block) {
+    const pieces = [];
+    let nested = null;
+
+    for (const declaration of block.declarations) {
+      const text = stringifyDeclaration(declaration) + ';';
+      if (!declaration.pseudo) {
+        nested = null;
+        pieces.push(text);
+      } else if (nested && nested.pseudo === declaration.pseudo) {
+        nested.declarations.push(text);
+      } else {
+        nested = { pseudo: declaration.pseudo, declarations: [text] };
+        pieces.push(nested);
+      }
+    }
+
+    const body = pieces.map(piece => typeof piece === 'string' ? piece :
+      piece.pseudo + ' { ' + piece.declarations.join(' ') + ' }');
+    return body.length ? '{ ' + body.join(' ') + ' }' : '{ }';
+  }
+
+  /**
+   * Print an AST from parse() back out as a canonical query: one space
+   * between parts, a single space inside braces and after each declaration,
+   * and `, ` between groups
+   * @param {Object} ast - Query node
+   * @returns {string} - Query that parses to an equivalent AST
+   */
+  function stringify(ast) {
+    return ast.groups.map(group => {
+      let text = '';
+
+      for (const part of group.parts) {
+        const head = (part.selector || '') + (part.pseudo || '');
+        if (text && head) text += ' ';
+        text += head;
+
+        const blocks = part.blocks || [];
+        if (!blocks.length) continue;
+
+        // The whitespace before the first brace carries the relationship
+        text += { filter: '', descendant: ' ', child: ' > ', adjacent: ' + ', sibling: ' ~ ' }[part.relationship || 'filter'];
+        text += (blocks[0].negated ? '!' : '') + stringifyBlock(blocks[0]);
+        for (const block of blocks.slice(1)) {
+          text += (block.negated ? ' !' : ' | ') + stringifyBlock(block);
+        }
+      }
+
+      return text;
+    }).join(', ');
+  }
+
+  /**
+   * Walk up from a node (inclusive) until a node is found or the search is
+   * blocked, stopping at the root. Every node on the way shares the outcome,
+   * so it is remembered for them all and overlapping searches from nested
+   * elements stop where an earlier one passed.
+   * @param {Node|null} node - Node to start from
+   * @param {Node} root - Search root, never searched past
+   * @param {Object} tree - Tree to walk up, from getTree
+   * @param {Map} memo - Outcomes of earlier searches, by starting node
+   * @param {Function} found - Whether a node ends the search successfully
+   * @param {Function} [blocked] - Whether a node ends the search unsuccessfully
+   * @returns {boolean} - True if a node was found
+   */
+  function searchAncestors(node, root, tree, memo, found, blocked) {
+    const path = [];
+    let result = false;
+
+    for (let current = node; current; current = tree.parent(current)) {
+      if (memo.has(current)) {
+        result = memo.get(current);
+        break;
+      }
+      path.push(current);
+      if (found(current)) {
+        result = true;
+        break;
+      }
+      if (current === root || (blocked && blocked(current))) break;
+    }
+
+    for (const visited of path) memo.set(visited, result);
+    return result;
+  }
+
+  /**
+   * Build a matcher for one selector group that checks its chain of parts
+   * right to left: a candidate must satisfy the last part, and the ancestors
+   * that part relates it to must satisfy the part before, and so on. Every
+   * answer is remembered for the evaluation, so each element is checked
+   * against each part at most once.
+   * @param {Array} parts - Query parts from parseQuery, with conditions
+   * @param {Node} root - Root the query runs from
+   * @param {Object} options - Query options (tolerance, cache)
+   * @returns {Function} - Whether an element under root matches the group
+   */
+  function createChainMatcher(parts, root, options) {
+    const tree = getTree(options);
+    const memos = parts.map(() => ({ matched: new Map(), below: new Map(), reach: new Map() }));
+    const isElement = node => node.nodeType === 1;
+    const siblingLists = new Map();
+    const previousSibling = node => tree.previous(node, siblingLists);
+    const siblings = { parent: previousSibling };
+
+    // Whether a node is among the elements part k selects; part -1 is the root
+    function matchesPart(node, k) {
+      if (k < 0) return node === root;
+      if (node === root || !isElement(node)) return false;
+
+      const memo = memos[k].matched;
+      if (!memo.has(node)) memo.set(node, evaluatePart(node, k));
+      return memo.get(node);
+    }
+
+    // Whether a strict ancestor of a node is among the elements part k selects
+    function hasAncestorMatching(node, k) {
+      if (node === root) return false;
+      if (k < 0) return true; // every candidate is below the root
+      return searchAncestors(tree.parent(node), root, tree, memos[k].below, ancestor => matchesPart(ancestor, k));
+    }
+
+    function evaluatePart(element, k) {
+      const part = parts[k];
+      const parent = tree.parent(element);
+
+      if (part.type === 'selector') {
+        return element.matches(part.selector) && hasAncestorMatching(element, k - 1);
+      }
+
+      let related;
+      if (part.relationship === 'filter') {
+        // Matches below an element that matches an earlier filter selector
+        // are left out, so nested structures are not descended into
+        related = element.matches(part.selector || '*') &&
+          searchAncestors(parent, root, tree, memos[k].reach,
+            ancestor => matchesPart(ancestor, k - 1),
+            ancestor => isElement(ancestor) && part.previousFilterSelectors.some(selector => ancestor.matches(selector)));
+      } else if (part.relationship === 'descendant') {
+        related = part.selector
+          ? searchAncestors(parent, root, tree, memos[k].reach,
+            ancestor => ancestor !== root && isElement(ancestor) && ancestor.matches(part.selector) &&
+              hasAncestorMatching(ancestor, k - 1))
+          : hasAncestorMatching(element, k - 1);
+      } else if (part.relationship === 'child') {
+        related = part.selector
+          ? parent !== root && isElement(parent) && parent.matches(part.selector) && hasAncestorMatching(parent, k - 1)
+          : matchesPart(parent, k - 1);
+      } else if (part.relationship === 'adjacent') {
+        const previous = previousSibling(element);
+        related = !!previous && (part.selector
+          ? previous.matches(part.selector) && hasAncestorMatching(previous, k - 1)
+          : matchesPart(previous, k - 1));
+      } else if (part.relationship === 'sibling') {
+        // Earlier siblings are searched like ancestors, one step at a time
+        related = searchAncestors(previousSibling(element), root, siblings, memos[k].reach, sibling => part.selector
+          ? sibling.matches(part.selector) && hasAncestorMatching(sibling, k - 1)
+          : matchesPart(sibling, k - 1));
+      }
+
+      // Styles are only read once the cheaper structural checks pass
+      return !!related && elementMatchesCondition(element, part.condition, options);
+    }
+
+    return element => matchesPart(element, parts.length - 1);
+  }
+
+  /**
+   * Iterate the elements below a root in document order
+   * @param {Node} root - Document, element or fragment to walk
+   * @returns {Iterator<Element>} - Elements, not including the root
+   */
+  function* walkElements(root) {
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      yield node;
+    }
+  }
+
+  /**
+   * Find the slot a light DOM child of a shadow host is assigned to
+   * @param {Element} element - Child of a shadow host
+   * @returns {Element|null} - The slot, or null if it is not slotted
+   */
+  function getAssignedSlot(element) {
+    if ('assignedSlot' in element) return element.assignedSlot;
+
+    // Engines without assignedSlot: look through the host's slots
+    for (const slot of element.parentNode.shadowRoot.querySelectorAll('slot')) {
+      if (slot.assignedElements().indexOf(element) !== -1) return slot;
+    }
+    return null;
+  }
+
+  /**
+   * Get a node's parent in the flat tree: slotted elements belong to their
+   * slot and the top of an open shadow tree to its host
+   * @param {Node} node - Node whose parent to find
+   * @returns {Node|null} - Flat tree parent
+   */
+  function getFlatParent(node) {
+    const parent = node.parentNode;
+    if (!parent) return null;
+    if (parent.shadowRoot && node.nodeType === 1) {
+      const slot = getAssignedSlot(node);
+      if (slot) return slot;
+    }
+    return parent.nodeType === 11 && parent.host ? parent.host : parent;
+  }
+
+  /**
+   * Get a node's children in the flat tree: a shadow host's open shadow tree
+   * followed by any light children no slot takes, and a slot's assigned
+   * elements (or its fallback content when nothing is assigned)
+   * @param {Node} node - Node whose children to list
+   * @returns {Array<Element>} - Flat tree children
+   */
+  function getFlatChildren(node) {
+    if (node.shadowRoot) {
+      const unassigned = Array.from(node.children).filter(child => !getAssignedSlot(child));
+      return Array.from(node.shadowRoot.children).concat(unassigned);
+    }
+    if (node.nodeName === 'SLOT' && node.getRootNode().host) {
+      const assigned = node.assignedElements();
+      if (assigned.length) return assigned;
+    }
+    return Array.from(node.children);
+  }
+
+  /**
+   * Get the element before a node in the flat tree, among its flat tree
+   * parent's children
+   * @param {Node} node - Node whose sibling to find
+   * @param {Map} [siblingLists] - Previous siblings by child, by parent, kept
+   *   by the caller so walking a long list of slotted elements stays linear
+   * @returns {Element|null} - Previous flat tree sibling
+   */
+  function getFlatPrevious(node, siblingLists) {
+    const parent = getFlatParent(node);
+    if (!parent) return null;
+
+    // Below anything but a shadow host or a slot the light tree order holds
+    if (node.parentNode === parent && !parent.shadowRoot && parent.nodeName !== 'SLOT') {
+      return node.previousElementSibling || null;
+    }
+
+    let previous = siblingLists && siblingLists.get(parent);
+    if (!previous) {
+      const children = getFlatChildren(parent);
+      previous = new Map(children.map((child, index) => [child, index ? children[index - 1] : null]));
+      if (siblingLists) siblingLists.set(parent, previous);
+    }
+    return previous.get(node) || null;
+  }
+
+  /**
+   * Iterate the elements below a root in flat tree order, entering open
+   * shadow roots right after their host
+   * @param {Node} root - Document, element or fragment to walk
+   * @returns {Iterator<Element>} - Elements, not including the root
+   */
+  function* walkFlatTree(root) {
+    for (const child of getFlatChildren(root)) {
+      yield child;
+      yield* walkFlatTree(child);
+    }
+  }
+
+  /**
+   * Frame elements by the documents they were found to contain
+   */
+  const frameOwners = new WeakMap();
+
+  /**
+   * Get the document of a same-origin frame
+   * @param {Element} element - Possible frame element
+   * @returns {Document|null} - The frame's document, or null for other
+   *   elements and cross-origin frames
+   */
+  function getFrameDocument(element) {
+    const name = element.nodeName;
+    if (name !== 'IFRAME' && name !== 'FRAME') return null;
+    try {
+      const frameDocument = element.contentDocument;
+      if (frameDocument) frameOwners.set(frameDocument, element);
+      return frameDocument || null;
+    } catch (error) {
+      return null; // cross-origin frame
+    }
+  }
+
+  /**
+   * Get the frame element a document is displayed in
+   * @param {Document} frameDocument - Document of a frame
+   * @returns {Element|null} - The frame element, or null for a top-level or
+   *   cross-origin document
+   */
+  function getFrameElement(frameDocument) {
+    if (frameOwners.has(frameDocument)) return frameOwners.get(frameDocument);
+    try {
+      return (frameDocument.defaultView && frameDocument.defaultView.frameElement) || null;
+    } catch (error) {
+      return null; // cross-origin parent
+    }
+  }
+
+  /**
+   * Extend a tree into same-origin frames: a frame's document comes right
+   * after the frame element and is its child
+   * @param {Object} tree - Tree to extend
+   * @returns {Object} - Tree that also enters frames
+   */
+  function withFrames(tree) {
+    return {
+      parent: node => node.nodeType === 9 ? getFrameElement(node) : tree.parent(node),
+      previous: (node, siblingLists) => node.nodeType === 9 ? null : tree.previous(node, siblingLists),
+      walk: function* walk(root) {
+        for (const element of tree.walk(root)) {
+          yield element;
+          const frameDocument = getFrameDocument(element);
+          if (frameDocument) yield* walk(frameDocument);
+        }
+      },
+      shadow: tree.shadow,
+      frames: true
+    };
+  }
+
+  /**
+   * The trees a query can run over: the light DOM, like native
+   * querySelectorAll, and with `shadow: 'open'` the flat tree through open
+   * shadow roots and slots; either can also enter frames with `frames: true`
+   */
+  const LIGHT_TREE = {
+    parent: node => node.parentNode,
+    previous: node => node.previousElementSibling || null,
+    walk: walkElements,
+    shadow: false,
+    frames: false
+  };
+  const FLAT_TREE = { parent: getFlatParent, previous: getFlatPrevious, walk: walkFlatTree, shadow: true, frames: false };
+  const LIGHT_TREE_WITH_FRAMES = withFrames(LIGHT_TREE);
+  const FLAT_TREE_WITH_FRAMES = withFrames(FLAT_TREE);
+
+  /**
+   * Pick the tree a query runs over
+   * @param {Object} options - Query options (shadow, frames)
+   * @returns {Object} - Tree with `parent(node)`, `previous(node, siblingLists)`
+   *   and `walk(root)`
+   */
+  function getTree(options) {
+    if (options.shadow === 'open') return options.frames ? FLAT_TREE_WITH_FRAMES : FLAT_TREE;
+    return options.frames ? LIGHT_TREE_WITH_FRAMES : LIGHT_TREE;
+  }
+
+  /**
+   * Check whether a node is below a root in a tree
+   * @param {Node} node - Node to check
+   * @param {Node} root - Possible ancestor
+   * @param {Object} tree - Tree from getTree
+   * @returns {boolean} - True if root is a strict ancestor of node
+   */
+  function isBelow(node, root, tree) {
+    for (let current = tree.parent(node); current; current = tree.parent(current)) {
+      if (current === root) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Parse a query into its selector groups, each a list of parts ready for
+   * matching
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Object} options - Query options (lenient)
+   * @returns {Array<Array>} - Parts per group, with conditions attached
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function parseGroups(query, options) {
+    const context = { query: query, offset: 0, lenient: !!options.lenient };
+
+    return splitSelectorGroups(query, context).map(group => {
+      const groupContext = Object.assign({}, context, { offset: group.offset });
+      const previousFilterSelectors = [];
+
+      return parseQuery(group.text, groupContext).map(part => {
+        if (part.type === 'selector-with-rules') {
+          part.condition = parseCondition(part, context);
+          part.previousFilterSelectors = previousFilterSelectors.slice();
+          if (part.relationship === 'filter' && part.selector) {
+            previousFilterSelectors.push(part.selector);
+          }
+        }
+        return part;
+      });
+    });
+  }
+
+  /**
+   * Build a matcher for one evaluation of parsed groups from a root. Styles
+   * are read once per evaluation, shared by every group and part, unless the
+   * caller keeps a cache across evaluations.
+   * @param {Array<Array>} groups - Groups from parseGroups
+   * @param {Node} root - Root the query runs from
+   * @param {Object} options - Query options (tolerance, cache)
+   * @returns {Function} - Whether an element under root matches any group
+   */
+  function createQueryMatcher(groups, root, options) {
+    const evaluation = options.cache ? options : Object.assign({}, options, { cache: createStyleCache() });
+    const matchers = groups.map(parts => createChainMatcher(parts, root, evaluation));
+
+    // A selector list matches the union of every group
+    return element => matchers.some(matcher => matcher(element));
+  }
+
+  /**
+   * Compile a query once for repeated use. Parsing, shorthand expansion and
+   * normalization of expected values happen here rather than on every call.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Object} [options] - Query options (tolerance, lenient, cache)
+   * @returns {Object} - Compiled query with `source`, `iterate(root)`,
+   *   `first(root)`, `all(root)`, `matches(element, root)` and `rank(root)`
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function compile(query, options = {}) {
+    const groups = parseGroups(query, options);
+
+    function* iterate(root = document) {
+      const matcher = createQueryMatcher(groups, root, options);
+
+      // One walk in document order gives results in the same order as
+      // native querySelectorAll, each element once
+      for (const element of getTree(options).walk(root)) {
+        if (matcher(element)) yield element;
+      }
+    }
+
+    return {
+      source: query,
+      iterate,
+      all(root = document) {
+        return [...iterate(root)];
+      },
+      first(root = document) {
+        return iterate(root).next().value || null;
+      },
+      matches(element, root = element.ownerDocument) {
+        return isBelow(element, root, getTree(options)) && createQueryMatcher(groups, root, options)(element);
+      },
+      rank(root = document) {
+        const { minScore = 0.5 } = options;
+        const evaluation = options.cache ? options : Object.assign({}, options, { cache: createStyleCache() });
+
+        // Earlier parts must match as usual; the last part's selector and
+        // relationship too, while its declarations are scored
+        const scorers = groups.map(parts => {
+          const last = parts[parts.length - 1];
+          if (last.type !== 'selector-with-rules') {
+            const matcher = createChainMatcher(parts, root, evaluation);
+            return element => matcher(element) ? { score: 1, failed: [] } : null;
+          }
+          const unstyled = Object.assign({}, last, { condition: { anyOf: [], noneOf: [] } });
+          const matcher = createChainMatcher(parts.slice(0, -1).concat(unstyled), root, evaluation);
+          return element => matcher(element) ? scoreCondition(element, last.condition, evaluation) : null;
+        });
+
+        const ranked = [];
+        for (const element of getTree(options).walk(root)) {
+          let best = null;
+          for (const score of scorers) {
+            const result = score(element);
+            if (result && (!best || result.score > best.score)) best = result;
+          }
+          if (best && best.score >= minScore) {
+            ranked.push({ element: element, score: best.score, failed: best.failed });
+          }
+        }
+
+        // Array.prototype.sort is stable, so ties stay in document order
+        return ranked.sort((a, b) => b.score - a.score);
+      }
+    };
+  }
+
+  /**
+   * Execute a query with CSS rules
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to search from (default: document)
+   * @param {boolean} findAll - Whether to find all matches or just the first
+   * @param {Object} [options] - Query options (tolerance)
+   * @returns {Element|NodeList|Object|null} - Matching element(s) or null,
+   *   or ranked results in ranked mode
+   */
+  function executeQuery(query, root = document, findAll = false, options = {}) {
+    const compiled = compile(query, options);
+    if (options.mode === 'ranked') {
+      const ranked = compiled.rank(root);
+      return findAll ? ranked : ranked[0] || null;
+    }
+    return findAll ? compiled.all(root) : compiled.first(root);
+  }
+
+  /**
+   * Query selector with CSS rules - returns first matching element
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to search from (default: document)
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.tolerance] - Allowed deviation per value category:
+   *   length (px), number, percentage, time (ms), angle (deg), color (deltaE)
+   * @param {boolean} [options.lenient] - Skip malformed pieces of the query
+   *   instead of throwing a CSSQuerySyntaxError
+   * @param {Object} [options.cache] - Style cache from createStyleCache, to
+   *   reuse computed styles across calls
+   * @param {string} [options.shadow] - `'open'` to continue into open shadow
+   *   roots, following the flat tree
+   * @param {boolean} [options.frames] - Continue into same-origin frames;
+   *   getFramePath gives a result's frames
+   * @param {string} [options.mode] - `'ranked'` to score the last part's
+   *   declarations instead of requiring all of them
+   * @param {number} [options.minScore=0.5] - Lowest score a ranked result may have
+   * @param {Object} [options.weights] - Weight of each declared property in
+   *   ranked mode (default 1)
+   * @returns {Element|Object|null} - First matching element or null; in
+   *   ranked mode the best `{ element, score, failed }`
+   */
+  function querySelectorWithCssRules(query, root = document, options = {}) {
+    return executeQuery(query, root, false, options);
+  }
+
+  /**
+   * Query selector all with CSS rules - returns all matching elements
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to search from (default: document)
+   * @param {Object} [options] - Query options
+   * @param {Object} [options.tolerance] - Allowed deviation per value category:
+   *   length (px), number, percentage, time (ms), angle (deg), color (deltaE)
+   * @param {boolean} [options.lenient] - Skip malformed pieces of the query
+   *   instead of throwing a CSSQuerySyntaxError
+   * @param {Object} [options.cache] - Style cache from createStyleCache, to
+   *   reuse computed styles across calls
+   * @param {string} [options.shadow] - `'open'` to continue into open shadow
+   *   roots, following the flat tree
+   * @param {boolean} [options.frames] - Continue into same-origin frames;
+   *   getFramePath gives a result's frames
+   * @param {string} [options.mode] - `'ranked'` to score the last part's
+   *   declarations instead of requiring all of them
+   * @param {number} [options.minScore=0.5] - Lowest score a ranked result may have
+   * @param {Object} [options.weights] - Weight of each declared property in
+   *   ranked mode (default 1)
+   * @returns {Array<Element|Object>} - Array of matching elements; in ranked
+   *   mode `{ element, score, failed }`, highest score first
+   */
+  function querySelectorAllWithCssRules(query, root = document, options = {}) {
+    return executeQuery(query, root, true, options);
+  }
+
+  /**
+   * Refuse ranked mode in functions that only produce elements in document
+   * order, rather than quietly returning unranked results
+   * @param {Object} options - Query options
+   * @param {string} name - Function name, for the message
+   * @throws {TypeError} - When `options.mode` is `'ranked'`
+   */
+  function rejectRankedMode(options, name) {
+    if (options.mode === 'ranked') {
+      throw new TypeError(name + " does not support mode: 'ranked'; use querySelectorAllWithCssRules or compile().rank()");
+    }
+  }
+
+  /**
+   * Iterate the elements matching a query lazily, in document order. Nothing
+   * is evaluated until the first element is requested, and stopping early
+   * skips the rest of the document. The DOM should not change mid-iteration.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to search from (default: document)
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @returns {Iterator<Element>} - Matching elements
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function iterateWithCssRules(query, root = document, options = {}) {
+    rejectRankedMode(options, 'iterateWithCssRules');
+    return compile(query, options).iterate(root);
+  }
+
+  /**
+   * Get the error to reject with for an aborted signal
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {*} - The signal's reason, or an AbortError where it has none
+   */
+  function getAbortReason(signal) {
+    return signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  /**
+   * Give the main thread a chance to handle input and rendering
+   * @returns {Promise<void>} - Resolves when the browser is idle, or on the
+   *   next task where requestIdleCallback is not available
+   */
+  function yieldToMainThread() {
+    return new Promise(resolve => {
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(() => resolve(), { timeout: 50 });
+      } else {
+        setTimeout(resolve, 0);
+      }
+    });
+  }
+
+  /**
+   * Query selector all with CSS rules, without blocking the main thread. The
+   * tree is walked in chunks, yielding between them once the time budget is
+   * spent.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to search from (default: document)
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @param {AbortSignal} [options.signal] - Rejects the promise when aborted
+   * @param {number} [options.chunkSize=250] - Elements checked between looks
+   *   at the clock, at least 1
+   * @param {number} [options.yieldEvery=10] - Milliseconds of work before
+   *   yielding, 0 or more
+   * @param {Function} [options.onProgress] - Called with `{ visited, matched }`
+   *   each time the walk yields and once when it finishes
+   * @returns {Promise<Array<Element>>} - Matching elements in document order;
+   *   rejects with a RangeError for an invalid chunkSize or yieldEvery
+   */
+  async function querySelectorAllWithCssRulesAsync(query, root = document, options = {}) {
+    const { signal, chunkSize = 250, yieldEvery = 10, onProgress } = options;
+    rejectRankedMode(options, 'querySelectorAllWithCssRulesAsync');
+    // A chunk of nothing would yield forever without getting anywhere
+    if (!(chunkSize >= 1)) throw new RangeError('chunkSize must be at least 1, got ' + chunkSize);
+    if (!(yieldEvery >= 0)) throw new RangeError('yieldEvery must be 0 or more, got ' + yieldEvery);
+    const throwIfAborted = () => {
+      if (signal && signal.aborted) throw getAbortReason(signal);
+    };
+
+    throwIfAborted();
+    const matcher = createQueryMatcher(parseGroups(query, options), root, options);
+    const elements = getTree(options).walk(root);
+    const results = [];
+    let visited = 0;
+    let sliceStart = Date.now();
+
+    for (let done = false; !done;) {
+      for (let i = 0; i < chunkSize; i++) {
+        const next = elements.next();
+        if (next.done) {
+          done = true;
+          break;
+        }
+        visited++;
+        if (matcher(next.value)) results.push(next.value);
+      }
+
+      if (!done && Date.now() - sliceStart >= yieldEvery) {
+        if (onProgress) onProgress({ visited: visited, matched: results.length });
+        await yieldToMainThread();
+        throwIfAborted();
+        sliceStart = Date.now();
+      }
+    }
+
+    if (onProgress) onProgress({ visited: visited, matched: results.length });
+    return results;
+  }
+
+  /**
+   * Whether a node is or belongs to a stylesheet, so changing it can restyle
+   * anything in the document
+   * @param {Node} node - Mutated node
+   * @returns {boolean} - True for `<style>`, stylesheet `<link>` and their contents
+   */
+  function isStylesheetNode(node) {
+    const element = node.nodeType === 1 ? node : node.parentNode;
+    if (!element || element.nodeType !== 1) return false;
+    const name = element.nodeName.toLowerCase();
+    return name === 'style' || (name === 'link' && /\bstylesheet\b/i.test(element.getAttribute('rel') || ''));
+  }
+
+  /**
+   * Watch for elements starting or stopping to match a query. Elements that
+   * match when observing starts are reported through `onAdd` right away.
+   * After that, mutations re-evaluate only the subtrees they can affect: the
+   * parent of an element whose attributes changed (so siblings are covered),
+   * or the node whose children or text changed, and the target of
+   * `transitionend` and `animationend` events. Stylesheet changes and changes
+   * above the root re-evaluate everything. Style changes nothing reveals,
+   * such as media queries or `:hover`, need `refresh()`.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} root - Root element to watch (default: document)
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @param {Function} [options.onAdd] - Called with each element that starts matching
+   * @param {Function} [options.onRemove] - Called with each element that stops
+   *   matching, including elements removed from the tree
+   * @returns {Object} - Handle with `refresh()` and `disconnect()`
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function observe(query, root = document, options = {}) {
+    const { onAdd, onRemove } = options;
+    rejectRankedMode(options, 'observe');
+    const groups = parseGroups(query, options);
+    const tree = getTree(options);
+    const treeRoot = root.getRootNode ? root.getRootNode() : root;
+    const observedTrees = new WeakSet();
+    const matched = new Set();
+
+    // Re-evaluate the elements in the given subtrees (inclusive) and report
+    // the differences
+    function update(scopes) {
+      const matcher = createQueryMatcher(groups, root, options);
+      const removed = [];
+      const added = [];
+
+      for (const element of matched) {
+        if (!isBelow(element, root, tree)) removed.push(element);
+      }
+
+      for (const scope of scopes) {
+        const candidates = scope === root ? tree.walk(root) : [scope, ...tree.walk(scope)];
+        for (const element of candidates) {
+          // Shadow trees and frames are watched as the walk comes across them
+          if (tree.shadow && element.shadowRoot) watch(element.shadowRoot);
+          if (tree.frames) {
+            const frameDocument = getFrameDocument(element);
+            if (frameDocument) watch(frameDocument);
+          }
+
+          const isMatch = matcher(element);
+          if (isMatch && !matched.has(element)) {
+            added.push(element);
+          } else if (!isMatch && matched.has(element)) {
+            removed.push(element);
+          }
+        }
+      }
+
+      for (const element of removed) {
+        matched.delete(element);
+        if (onRemove) onRemove(element);
+      }
+      for (const element of added) {
+        matched.add(element);
+        if (onAdd) onAdd(element);
+      }
+    }
+
+    // Narrow a batch of changed nodes down to the outermost subtrees of root
+    // that need another look
+    function updateNodes(nodes) {
+      const scopes = [];
+      for (const node of new Set(nodes)) {
+        if (node === root || isBelow(root, node, tree)) {
+          update([root]);
+          return;
+        }
+        if (node.nodeType === 1 && isBelow(node, root, tree)) scopes.push(node);
+      }
+
+      update(scopes.filter(scope => !scopes.some(other => isBelow(scope, other, tree))));
+    }
+
+    const observer = new MutationObserver(mutations => {
+      const nodes = [];
+      for (const mutation of mutations) {
+        const stylesheetChange = isStylesheetNode(mutation.target) ||
+          [...mutation.addedNodes, ...mutation.removedNodes].some(isStylesheetNode);
+        if (stylesheetChange) {
+          update([root]);
+          return;
+        }
+
+        // Attribute changes can restyle siblings too, through sibling
+        // combinators, so their parent is looked at again
+        const target = mutation.type === 'attributes' ? tree.parent(mutation.target) || mutation.target : mutation.target;
+        nodes.push(target.nodeType === 1 || target === root ? target : target.host || target.parentNode || target);
+      }
+      updateNodes(nodes);
+    });
+
+    // Watch a tree the document observer does not reach
+    function watch(node) {
+      if (observedTrees.has(node)) return;
+      observedTrees.add(node);
+      observer.observe(node, OBSERVED_MUTATIONS);
+    }
+
+    observer.observe(treeRoot, OBSERVED_MUTATIONS);
+    if (tree.shadow && root.shadowRoot) watch(root.shadowRoot);
+
+    const onStyleEvent = event => updateNodes([event.target]);
+    root.addEventListener('transitionend', onStyleEvent);
+    root.addEventListener('animationend', onStyleEvent);
+
+    // A frame that (re)loads has a new document; load does not bubble, so it
+    // is caught on the way down
+    const onFrameLoad = event => {
+      if (getFrameDocument(event.target)) updateNodes([event.target]);
+    };
+    if (tree.frames) root.addEventListener('load', onFrameLoad, true);
+
+    update([root]);
+
+    return {
+      /**
+       * Re-evaluate the whole root, e.g. after a media query change
+       */
+      refresh() {
+        update([root]);
+      },
+
+      /**
+       * Stop watching; no further callbacks are made
+       */
+      disconnect() {
+        observer.disconnect();
+        root.removeEventListener('transitionend', onStyleEvent);
+        root.removeEventListener('animationend', onStyleEvent);
+        root.removeEventListener('load', onFrameLoad, true);
+      }
+    };
+  }
+
+  /**
+   * Describe an element briefly for messages, e.g. `button#save.btn.primary`
+   * @param {Element} element - Element to describe
+   * @returns {string} - Tag name with id and up to three classes
+   */
+  function describeElement(element) {
+    const id = element.id ? '#' + element.id : '';
+    const classes = Array.from(element.classList || []).slice(0, 3).map(name => '.' + name).join('');
+    return element.nodeName.toLowerCase() + id + classes;
+  }
+
+  /**
+   * Describe a failed declaration for messages
+   * @param {Object} failure - Failure from findFailedRule, or a matched
+   *   negated block as `{ negated: true, rules }`
+   * @returns {string} - e.g. `color: expected red, got rgb(0, 0, 255)`
+   */
+  function describeFailure(failure) {
+    if (failure.negated) {
+      return 'matches negated block { ' + failure.rules.map(rule => rule.property + ': ' + rule.value).join('; ') + ' }';
+    }
+    const property = (failure.pseudo ? failure.pseudo + ' ' : '') + failure.property +
+      (failure.shorthand ? ' (from ' + failure.shorthand + ')' : '');
+    const actual = failure.actual === null ? 'no ' + failure.pseudo : JSON.stringify(failure.actual);
+    return property + ': expected ' + JSON.stringify(failure.expected) + ', got ' + actual;
+  }
+
+  /**
+   * List every reason an element fails a condition: the failed declarations
+   * of its closest positive block and any negated block it matches
+   * @param {Element} element - Element to check
+   * @param {Object} condition - Condition from parseCondition
+   * @param {Object} options - Query options (tolerance, cache)
+   * @returns {Array<Object>} - Failures; empty if the element satisfies the condition
+   */
+  function findConditionFailures(element, condition, options) {
+    let failures = [];
+
+    for (const [index, rules] of condition.anyOf.entries()) {
+      const blockFailures = rules.map(rule => findFailedRule(element, [rule], options)).filter(Boolean);
+      if (index === 0 || blockFailures.length < failures.length) failures = blockFailures;
+    }
+
+    for (const rules of condition.noneOf) {
+      if (elementMatchesRules(element, rules, options)) failures.push({ negated: true, rules: rules });
+    }
+
+    return failures;
+  }
+
+  /**
+   * Find the elements that come closest to matching: they satisfy every
+   * selector of a group and its earlier parts, but fail declarations of the
+   * last part
+   * @param {Array<Array>} groups - Groups from parseGroups
+   * @param {Node} root - Root the query runs from
+   * @param {Object} options - Query options (tolerance, cache)
+   * @param {number} [limit=3] - Number of elements to return
+   * @returns {Array<Object>} - `{ element, failures }`, fewest failures first
+   *   and then in document order
+   */
+  function findNearMisses(groups, root, options, limit = 3) {
+    const evaluation = Object.assign({}, options, { cache: options.cache || createStyleCache() });
+    const misses = new Map();
+
+    for (const parts of groups) {
+      const last = parts[parts.length - 1];
+      if (last.type !== 'selector-with-rules') continue;
+
+      // The same chain with no styles required of the last part
+      const unstyled = Object.assign({}, last, { condition: { anyOf: [], noneOf: [] } });
+      const matcher = createChainMatcher(parts.slice(0, -1).concat(unstyled), root, evaluation);
+
+      for (const element of getTree(options).walk(root)) {
+        if (!matcher(element)) continue;
+        const failures = findConditionFailures(element, last.condition, evaluation);
+        const previous = misses.get(element);
+        if (failures.length && (!previous || failures.length < previous.failures.length)) {
+          misses.set(element, { element: element, failures: failures });
+        }
+      }
+    }
+
+    return [...misses.values()].sort((a, b) => a.failures.length - b.failures.length).slice(0, limit);
+  }
+
+  /**
+   * Check one declaration against an element, keeping the values compared
+   * @param {Element} element - Element to check
+   * @param {Object} rule - Declaration from parseCSSRules
+   * @param {Object} options - Query options (tolerance, cache)
+   * @returns {Object} - `{ property, pseudo, shorthand, operator, expected,
+   *   actual, normalized: { expected, actual }, pass }`
+   */
+  function checkDeclaration(element, rule, options) {
+    const actual = options.cache.read(element, rule.pseudo || null, rule.property);
+    const patterned = PATTERN_OPERATORS.indexOf(rule.operator) !== -1;
+    const normalize = value => value === null ? null
+      : patterned ? normalizePatternText(value) : normalizeCSSValue(value, element);
+
+    return {
+      property: rule.property,
+      pseudo: rule.pseudo || null,
+      shorthand: rule.shorthand || null,
+      operator: rule.operator,
+      expected: rule.value,
+      actual: actual,
+      normalized: {
+        expected: rule.operator === '~=' ? String(rule.pattern) : normalize(rule.value),
+        actual: normalize(actual)
+      },
+      pass: actual !== null && valueMatchesRule(rule, actual, element, options)
+    };
+  }
+
+  /**
+   * Find the elements a filter part never reaches because an element that
+   * matches an earlier filter selector sits between them and the match of
+   * the previous part
+   * @param {Object} part - Filter part with previousFilterSelectors
+   * @param {Function} reached - Whether a node matches the previous part
+   * @param {Node} root - Root the query runs from
+   * @param {Object} options - Query options (shadow, frames)
+   * @returns {Array<Object>} - `{ element, blockedBy, selector }` in document order
+   */
+  function findBlockedElements(part, reached, root, options) {
+    const tree = getTree(options);
+    const excluded = [];
+    if (part.relationship !== 'filter' || !part.previousFilterSelectors.length) return excluded;
+
+    for (const element of tree.walk(root)) {
+      if (!element.matches(part.selector || '*')) continue;
+
+      let blocker = null;
+      for (let current = tree.parent(element); current; current = tree.parent(current)) {
+        if (reached(current)) {
+          if (blocker) excluded.push(blocker);
+          break;
+        }
+        if (current === root) break;
+        const selector = current.nodeType === 1 && part.previousFilterSelectors.find(previous => current.matches(previous));
+        if (selector && !blocker) blocker = { element: element, blockedBy: current, selector: selector };
+      }
+    }
+
+    return excluded;
+  }
+
+  /**
+   * Explain how a query was evaluated: for each part of each group, the
+   * candidates that were related to a match of the part before, whether each
+   * one satisfied the part's rule blocks and the value compared for every
+   * declaration. Filter parts also list the elements left out because they
+   * are nested below a match of an earlier filter selector.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Element} [root=document] - Root element to search from
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @returns {Object} - `{ query, matches, groups }`, where each group has
+   *   `parts` and each part has `selector`, `relationship`, `pseudo`, `start`,
+   *   `end`, `candidates` (`{ element, matched, blocks }`, each block being
+   *   `{ negated, matched, declarations }`) and `excluded`
+   * @throws {CSSQuerySyntaxError} - When the query is malformed, unless
+   *   `options.lenient` is set
+   */
+  function explain(query, root = document, options = {}) {
+    const groups = parseGroups(query, options);
+    const evaluation = Object.assign({}, options, { cache: options.cache || createStyleCache() });
+    const tree = getTree(options);
+
+    const explained = groups.map(parts => ({
+      parts: parts.map((part, index) => {
+        // Candidates are related to matches of the earlier parts, whatever
+        // their own styles
+        const unstyled = Object.assign({}, part, { condition: { anyOf: [], noneOf: [] } });
+        const candidateMatcher = createChainMatcher(parts.slice(0, index).concat(unstyled), root, evaluation);
+        const previousMatcher = index ? createChainMatcher(parts.slice(0, index), root, evaluation) : null;
+        const reached = node => previousMatcher ? previousMatcher(node) : node === root;
+        const candidates = [];
+
+        for (const element of tree.walk(root)) {
+          if (!candidateMatcher(element)) continue;
+          const blocks = part.type === 'selector-with-rules'
+            ? part.blocks.map((block, blockIndex) => {
+              const rules = (block.negated ? part.condition.noneOf : part.condition.anyOf)[
+                part.blocks.slice(0, blockIndex).filter(earlier => earlier.negated === block.negated).length];
+              const declarations = rules.map(rule => checkDeclaration(element, rule, evaluation));
+              return {
+                negated: block.negated,
+                matched: declarations.every(declaration => declaration.pass),
+                declarations: declarations
+              };
+            })
+            : [];
+          candidates.push({
+            element: element,
+            matched: part.type !== 'selector-with-rules' || elementMatchesCondition(element, part.condition, evaluation),
+            blocks: blocks
+          });
+        }
+
+        return {
+          selector: part.selector,
+          relationship: part.relationship || null,
+          pseudo: part.pseudo || null,
+          start: part.start,
+          end: part.end,
+          candidates: candidates,
+          excluded: part.type === 'selector-with-rules' ? findBlockedElements(part, reached, root, options) : []
+        };
+      })
+    }));
+
+    const matcher = createQueryMatcher(groups, root, evaluation);
+    return {
+      query: query,
+      matches: [...tree.walk(root)].filter(element => matcher(element)),
+      groups: explained
+    };
+  }
+
+  /**
+   * Wait until a query matches, e.g. after a class is applied or a transition
+   * ends. Matching is re-checked on every relevant mutation (see observe) and
+   * every `interval` milliseconds for changes no mutation reveals.
+   * @param {string} query - The CSS query with optional style rules
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @param {Element} [options.root=document] - Root element to search from
+   * @param {number} [options.timeout=5000] - Milliseconds to wait before
+   *   rejecting; Infinity waits indefinitely
+   * @param {AbortSignal} [options.signal] - Rejects the promise when aborted
+   * @param {boolean} [options.all=false] - Resolve with every match instead
+   *   of the first
+   * @param {number} [options.interval=100] - Milliseconds between re-checks
+   *   of the whole root; 0 relies on mutations alone
+   * @returns {Promise<Element|Array<Element>>} - First match, or every match
+   *   in document order
+   * @throws {CSSQueryTimeoutError} - Rejects with the closest near-misses
+   *   when nothing matched in time
+   */
+  function waitForCssRules(query, options = {}) {
+    const { root = document, timeout = 5000, signal, all = false, interval = 100 } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) throw getAbortReason(signal);
+      rejectRankedMode(options, 'waitForCssRules');
+
+      const tree = getTree(options);
+      const matches = new Set();
+      let handle = null;
+      let timer = null;
+      let poll = null;
+      let settled = false;
+      let delivering = false;
+
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearInterval(poll);
+        if (handle) handle.disconnect();
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const onAbort = () => settle(reject, getAbortReason(signal));
+
+      // observe reports matches one at a time; they are handed over in
+      // document order once the update that found them is done, rather than
+      // running the query again for each
+      const deliver = () => {
+        delivering = false;
+        if (settled) return;
+        const found = [];
+        for (const element of tree.walk(root)) {
+          if (!matches.has(element)) continue;
+          found.push(element);
+          if (!all) break;
+        }
+        if (found.length) settle(resolve, all ? found : found[0]);
+      };
+
+      // Matches already there are reported while observing starts
+      handle = observe(query, root, Object.assign({}, options, {
+        onAdd: element => {
+          matches.add(element);
+          if (!delivering) {
+            delivering = true;
+            Promise.resolve().then(deliver);
+          }
+        },
+        onRemove: element => matches.delete(element)
+      }));
+
+      if (signal) signal.addEventListener('abort', onAbort);
+      if (isFinite(timeout)) {
+        timer = setTimeout(() => {
+          const nearMisses = findNearMisses(parseGroups(query, options), root, options);
+          settle(reject, new CSSQueryTimeoutError(query, timeout, nearMisses));
+        }, timeout);
+      }
+      if (interval > 0) {
+        poll = setInterval(() => {
+          try {
+            handle.refresh();
+          } catch (error) {
+            settle(reject, error);
+          }
+        }, interval);
+      }
+    });
+  }
+
+  /**
+   * Computed properties generateQuery describes elements with by default:
+   * ones that tell elements apart without depending on layout
+   */
+  const GENERATED_PROPERTIES = ['display', 'position', 'color', 'background-color', 'font-weight', 'font-style',
+    'text-align', 'text-transform', 'text-decoration-line', 'cursor', 'visibility'];
+
+  /**
+   * Attributes that usually survive rebuilds, unlike generated class names
+   */
+  const STABLE_ATTRIBUTES = ['id', 'data-testid', 'data-test', 'data-qa', 'data-cy', 'name', 'role', 'type',
+    'aria-label', 'title', 'alt', 'placeholder', 'for'];
+
+  /**
+   * Most descriptors combined for one element, and for each of an element
+   * and an ancestor when generateQuery needs both
+   */
+  const MAX_DESCRIPTORS = 3;
+  const MAX_ANCESTOR_DESCRIPTORS = 2;
+
+  /**
+   * Most of the element's own descriptions paired with ancestors, and most
+   * candidate queries generateQuery runs against the DOM to confirm them
+   */
+  const MAX_TARGETS = 5;
+  const MAX_VERIFIED_QUERIES = 10;
+
+  /**
+   * List the pieces a generated query may describe an element with: its tag
+   * name, stable attributes and computed values. Ids and values that look
+   * generated, e.g. containing digits, are left out.
+   * @param {Element} element - Element to describe
+   * @param {Array<string>} properties - Computed properties to describe
+   * @param {Object} options - Query options, with a cache
+   * @returns {Array<Object>} - Descriptors, selectors (tag name first)
+   *   before declarations, each with a memoized `fits(element)`
+   */
+  function getDescriptors(element, properties, options) {
+    const descriptors = [];
+
+    // `*` only stands in for tag names that cannot be written as a selector
+    descriptors.push({ selector: /^[a-z][\w-]*$/i.test(element.localName) ? element.localName : '*' });
+
+    for (const name of STABLE_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (value === null || value.length > 40 || /[\n"\\]/.test(value)) continue;
+      if (name === 'id') {
+        if (/^[a-z][a-z_-]*$/i.test(value)) descriptors.push({ selector: '#' + value });
+      } else {
+        descriptors.push({ selector: '[' + name + '="' + value + '"]' });
+      }
+    }
+
+    for (const property of properties) {
+      const value = options.cache.read(element, null, property);
+      if (value && !/[;{}]/.test(value)) descriptors.push({ property: property, value: value.trim() });
+    }
+
+    return descriptors.map(descriptor => {
+      const test = descriptor.selector
+        ? candidate => candidate.matches(descriptor.selector)
+        : (rules => candidate => elementMatchesRules(candidate, rules, options))(
+          parseCSSRules(descriptor.property + ': ' + descriptor.value));
+      const memo = new Map();
+      descriptor.fits = candidate => {
+        if (!memo.has(candidate)) memo.set(candidate, test(candidate));
+        return memo.get(candidate);
+      };
+      return descriptor;
+    });
+  }
+
+  /**
+   * Write a combination of descriptors as a filter-mode query part
+   * @param {Array<Object>} combination - Descriptors, selectors first
+   * @returns {string} - e.g. `button[type="submit"]{ color: rgb(255, 0, 0); }`
+   */
+  function renderFilterPart(combination) {
+    const selectors = combination.filter(descriptor => descriptor.selector).map(descriptor => descriptor.selector);
+    const declarations = combination.filter(descriptor => descriptor.property)
+      .map(descriptor => descriptor.property + ': ' + descriptor.value + ';');
+    // A tag name or attribute is enough to make the rest of a selector redundant
+    const selector = selectors.length > 1 ? selectors.filter(part => part !== '*').join('') : selectors.join('');
+    return declarations.length ? selector + '{ ' + declarations.join(' ') + ' }' : selector;
+  }
+
+  /**
+   * Describe an element in the ways that tell it apart from candidates:
+   * combinations that start with a selector (its tag name or a stable
+   * attribute) and add descriptors only while each one narrows the matches
+   * @param {Element} element - Element to describe
+   * @param {Array<Element>} candidates - Elements to tell it apart from
+   * @param {Array<string>} properties - Computed properties to describe
+   * @param {number} size - Most descriptors per description
+   * @param {Object} options - Query options, with a cache
+   * @returns {Array<Object>} - `{ combination, matches, text }`, matches
+   *   being the candidates that fit every descriptor
+   */
+  function describeForQuery(element, candidates, properties, size, options) {
+    const descriptors = getDescriptors(element, properties, options);
+    const descriptions = [];
+
+    function extend(combination, matches, from) {
+      descriptions.push({ combination: combination, matches: matches, text: renderFilterPart(combination) });
+      if (combination.length === size || matches.length === 1) return;
+
+      for (let index = from; index < descriptors.length; index++) {
+        const narrowed = matches.filter(descriptors[index].fits);
+        if (narrowed.length < matches.length) extend(combination.concat([descriptors[index]]), narrowed, index + 1);
+      }
+    }
+
+    descriptors.forEach((descriptor, index) => {
+      if (descriptor.selector) extend([descriptor], candidates.filter(descriptor.fits), index + 1);
+    });
+
+    return descriptions;
+  }
+
+  /**
+   * Write a query for an element described relative to one of its
+   * ancestors: a native child or descendant combinator when the ancestor is
+   * described by selectors alone, and a filter-mode chain when it has
+   * declarations
+   * @param {Object} ancestor - Description of the ancestor
+   * @param {Object} target - Description of the element
+   * @param {number} depth - Levels between them, 1 for the parent
+   * @returns {string} - The query
+   */
+  function renderRelativeQuery(ancestor, target, depth) {
+    const native = ancestor.combination.every(descriptor => descriptor.selector);
+    return ancestor.text + (native && depth === 1 ? ' > ' : ' ') + target.text;
+  }
+
+  /**
+   * Generate a short query that matches an element and nothing else under a
+   * root, for pages whose class names change between builds. The element is
+   * described by its tag name or a stable attribute, narrowed down with
+   * further attributes and computed styles; if that is not enough, by an
+   * ancestor's as well. Candidates are worked out from the elements under
+   * the root, cheapest first, and only the best few are confirmed by
+   * running them.
+   * @param {Element} element - Element to identify
+   * @param {Object} [options] - Query options, as for querySelectorAllWithCssRules
+   * @param {Element} [options.root=element.ownerDocument] - Root the query
+   *   will run from
+   * @param {Array<string>} [options.properties] - Computed properties to
+   *   describe elements with
+   * @param {number} [options.maxDepth=3] - Ancestor levels to try
+   * @returns {string|null} - The query, or null if none identifies the element
+   */
+  function generateQuery(element, options = {}) {
+    const { root = element.ownerDocument, properties = GENERATED_PROPERTIES, maxDepth = 3 } = options;
+    const evaluation = Object.assign({}, options, { cache: options.cache || createStyleCache() });
+    // Candidates are confirmed by exact matching, whatever the caller's
+    // options are otherwise used for
+    delete evaluation.mode;
+    delete evaluation.minScore;
+    delete evaluation.weights;
+    const tree = getTree(options);
+    if (!isBelow(element, root, tree)) return null;
+
+    let verified = 0;
+    const byLength = (a, b) => a.text.length - b.text.length;
+    const confirm = queries => {
+      for (const query of queries) {
+        if (verified++ === MAX_VERIFIED_QUERIES) return null;
+        const results = querySelectorAllWithCssRules(query, root, evaluation);
+        if (results.length === 1 && results[0] === element) return query;
+      }
+      return null;
+    };
+
+    const own = describeForQuery(element, [...tree.walk(root)], properties, MAX_DESCRIPTORS, evaluation).sort(byLength);
+    const found = confirm(own.filter(description => description.matches.length === 1).map(description => description.text));
+    if (found || verified >= MAX_VERIFIED_QUERIES) return found;
+
+    // The descriptions that leave the fewest other elements to rule out
+    const targets = own.filter(description => description.combination.length <= MAX_ANCESTOR_DESCRIPTORS)
+      .sort((a, b) => a.matches.length - b.matches.length || a.text.length - b.text.length)
+      .slice(0, MAX_TARGETS);
+
+    // Ancestors of the elements to rule out are all an ancestor's
+    // description needs to be told apart from
+    const ancestorLists = new Map();
+    const ancestorsOf = node => {
+      if (!ancestorLists.has(node)) {
+        const ancestors = [];
+        for (let current = tree.parent(node); current && current !== root; current = tree.parent(current)) {
+          if (current.nodeType === 1) ancestors.push(current);
+        }
+        ancestorLists.set(node, ancestors);
+      }
+      return ancestorLists.get(node);
+    };
+    const others = new Set();
+    for (const target of targets) {
+      for (const match of target.matches) {
+        if (match !== element) others.add(match);
+      }
+    }
+    const ancestorCandidates = [...new Set([element, ...others].flatMap(ancestorsOf))];
+
+    let ancestor = element;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      ancestor = tree.parent(ancestor);
+      if (!ancestor || ancestor === root || ancestor.nodeType !== 1) break;
+
+      const candidates = [];
+      for (const description of describeForQuery(ancestor, ancestorCandidates, properties, MAX_ANCESTOR_DESCRIPTORS, evaluation)) {
+        const matches = new Set(description.matches);
+        for (const target of targets) {
+          const ruledOut = target.matches.every(match => match === element ||
+            !ancestorsOf(match).some(other => matches.has(other)));
+          if (ruledOut) candidates.push({ text: renderRelativeQuery(description, target, depth) });
+        }
+      }
+
+      const query = confirm(candidates.sort(byLength).map(candidate => candidate.text));
+      if (query || verified >= MAX_VERIFIED_QUERIES) return query;
+    }
+
+    return null;
+  }
+
+  /**
+   * Computed properties a fingerprint records by default
+   */
+  const FINGERPRINT_PROPERTIES = ['display', 'position', 'color', 'background-color', 'font-family', 'font-size',
+    'font-weight', 'font-style', 'line-height', 'text-align', 'text-transform', 'text-decoration-line',
+    'border-top-width', 'border-top-style', 'border-top-color', 'border-top-left-radius', 'padding-top',
+    'padding-right', 'padding-bottom', 'padding-left', 'cursor', 'opacity', 'visibility'];
+
+  /**
+   * How much each kind of fingerprint entry counts towards a similarity
+   * score; every attribute and style property counts separately
+   */
+  const SIMILARITY_WEIGHTS = { tag: 2, attribute: 1, parent: 1, children: 0.5, text: 2, style: 1 };
+
+  /**
+   * Longest text a fingerprint keeps, and the most nodes read to collect it
+   */
+  const FINGERPRINT_TEXT_LENGTH = 80;
+  const FINGERPRINT_TEXT_NODES = 200;
+
+  /**
+   * Read an element's text the way fingerprints keep it: trimmed, with
+   * whitespace collapsed and cut to 80 characters. The walk stops once it
+   * has enough text, so comparing html or body costs no more than a button.
+   * @param {Element} element - Element to read
+   * @returns {string} - The text
+   */
+  function getFingerprintText(element) {
+    let text = '';
+    let budget = FINGERPRINT_TEXT_NODES;
+    const collect = node => {
+      for (let child = node.firstChild; child && budget > 0; child = child.nextSibling) {
+        budget--;
+        if (child.nodeType === 3 || child.nodeType === 4) {
+          text = (text + child.data.slice(0, FINGERPRINT_TEXT_LENGTH * 4)).replace(/\s+/g, ' ').trimStart();
+          if (text.trimEnd().length > FINGERPRINT_TEXT_LENGTH) budget = 0;
+        } else if (child.nodeType === 1) {
+          collect(child);
+        }
+      }
+    };
+    collect(element);
+    return text.trim().slice(0, FINGERPRINT_TEXT_LENGTH);
+  }
+
+  /**
+   * Get the element an element hangs from in a tree, stepping over shadow
+   * roots and frame documents
+   * @param {Element} element - Element whose parent to find
+   * @param {Object} tree - Tree from getTree
+   * @returns {Element|null} - The parent element, if any
+   */
+  function getParentElement(element, tree) {
+    let parent = tree.parent(element);
+    while (parent && parent.nodeType !== 1) parent = tree.parent(parent);
+    return parent;
+  }
+
+  /**
+   * Capture an element's computed styles and structural hints (tag name,
+   * stable attributes, parent tag name, child count and text) as a plain
+   * object that survives JSON serialization, for findBySimilarity to look
+   * for later
+   * @param {Element} element - Element to capture
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.properties] - Computed properties to record
+   * @param {Object} [options.cache] - Style cache from createStyleCache
+   * @param {string} [options.shadow] - `'open'` to take a shadow root's host,
+   *   or a slotted element's slot, as the parent
+   * @param {boolean} [options.frames] - Take a frame's element as the parent
+   *   of its root element
+   * @returns {Object} - `{ tag, attributes, parent, children, text, styles }`
+   */
+  function fingerprint(element, options = {}) {
+    const { properties = FINGERPRINT_PROPERTIES } = options;
+    const cache = options.cache || createStyleCache();
+    const parent = getParentElement(element, getTree(options));
+    const attributes = {};
+    const styles = {};
+
+    for (const name of STABLE_ATTRIBUTES) {
+      if (element.hasAttribute(name)) attributes[name] = element.getAttribute(name);
+    }
+    for (const property of properties) {
+      styles[property] = cache.read(element, null, property) || '';
+    }
+
+    return {
+      tag: element.localName,
+      attributes: attributes,
+      parent: parent ? parent.localName : null,
+      children: element.children.length,
+      text: getFingerprintText(element),
+      styles: styles
+    };
+  }
+
+  /**
+   * Score how close a computed value is to a recorded one: 1 when they are
+   * equal once normalized, partial credit in proportion to the difference
+   * for numbers of the same kind and for colors, 0 otherwise
+   * @param {string} expected - Recorded value
+   * @param {string} actual - Computed value
+   * @param {Element} element - Element the value was computed for
+   * @returns {number} - Similarity from 0 to 1
+   */
+  function valueSimilarity(expected, actual, element) {
+    if (normalizeCSSValue(expected, element) === normalizeCSSValue(actual, element)) return 1;
+
+    const expectedNumber = parseNumericValue(expected);
+    const actualNumber = parseNumericValue(actual);
+    if (expectedNumber && actualNumber && expectedNumber.category === actualNumber.category) {
+      const scale = Math.max(Math.abs(expectedNumber.amount), Math.abs(actualNumber.amount));
+      return scale ? 1 - Math.min(1, Math.abs(expectedNumber.amount - actualNumber.amount) / scale) : 1;
+    }
+
+    const expectedColor = parseColor(expected.trim().toLowerCase(), element);
+    const actualColor = parseColor(actual.trim().toLowerCase(), element);
+    if (expectedColor && actualColor) {
+      // A deltaE of 100 is as far apart as black and white
+      return Math.max(0, 1 - colorDistance(expectedColor, actualColor) / 100);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Score how much two texts share, as the overlap of their words
+   * @param {string} expected - Recorded text
+   * @param {string} actual - Current text
+   * @returns {number} - Similarity from 0 to 1
+   */
+  function textSimilarity(expected, actual) {
+    if (expected === actual) return 1;
+    const expectedWords = new Set(expected.toLowerCase().split(' ').filter(Boolean));
+    const actualWords = new Set(actual.toLowerCase().split(' ').filter(Boolean));
+    const shared = [...expectedWords].filter(word => actualWords.has(word)).length;
+    return shared / (expectedWords.size + actualWords.size - shared);
+  }
+
+  /**
+   * Compare an element against a fingerprint
+   * @param {Object} recorded - Fingerprint from fingerprint()
+   * @param {Element} element - Element to compare
+   * @param {Object} options - Query options (cache, shadow, frames)
+   * @returns {Object} - `{ score, differences }`, differences being
+   *   `{ property, expected, actual }` for every entry that is not equal
+   */
+  function compareFingerprint(recorded, element, options) {
+    const current = fingerprint(element, Object.assign({}, options, { properties: Object.keys(recorded.styles) }));
+    const differences = [];
+    let total = 0;
+    let weight = 0;
+
+    const add = (property, entryWeight, similarity, expected, actual) => {
+      total += entryWeight * similarity;
+      weight += entryWeight;
+      if (similarity < 1) differences.push({ property: property, expected: expected, actual: actual });
+    };
+
+    add('tag', SIMILARITY_WEIGHTS.tag, recorded.tag === current.tag ? 1 : 0, recorded.tag, current.tag);
+    for (const name of Object.keys(recorded.attributes)) {
+      const actual = element.hasAttribute(name) ? element.getAttribute(name) : null;
+      add('[' + name + ']', SIMILARITY_WEIGHTS.attribute, recorded.attributes[name] === actual ? 1 : 0,
+        recorded.attributes[name], actual);
+    }
+    add('parent', SIMILARITY_WEIGHTS.parent, recorded.parent === current.parent ? 1 : 0, recorded.parent, current.parent);
+    add('children', SIMILARITY_WEIGHTS.children, recorded.children === current.children ? 1 : 0,
+      recorded.children, current.children);
+    if (recorded.text) {
+      add('text', SIMILARITY_WEIGHTS.text, textSimilarity(recorded.text, current.text), recorded.text, current.text);
+    }
+    for (const property of Object.keys(recorded.styles)) {
+      add(property, SIMILARITY_WEIGHTS.style,
+        valueSimilarity(recorded.styles[property], current.styles[property], element),
+        recorded.styles[property], current.styles[property]);
+    }
+
+    return { score: weight ? total / weight : 0, differences: differences };
+  }
+
+  /**
+   * Find the elements most like a fingerprint, to relocate an element after
+   * a redeploy changed its styles or markup. Each recorded entry counts
+   * towards the score, with partial credit for numbers, colors and text that
+   * changed a little.
+   * @param {Object} recorded - Fingerprint from fingerprint()
+   * @param {Element} [root=document] - Root element to search from
+   * @param {Object} [options] - Query options (cache, shadow, frames)
+   * @param {number} [options.threshold=0.9] - Lowest score to return, from 0 to 1
+   * @returns {Array<Object>} - `{ element, score, differences }`, highest
+   *   score first and then in document order; differences lists the entries
+   *   that changed as `{ property, expected, actual }`
+   */
+  function findBySimilarity(recorded, root = document, options = {}) {
+    const { threshold = 0.9 } = options;
+    const evaluation = Object.assign({}, options, { cache: options.cache || createStyleCache() });
+    const results = [];
+
+    for (const element of getTree(options).walk(root)) {
+      const comparison = compareFingerprint(recorded, element, evaluation);
+      if (comparison.score >= threshold) {
+        results.push({ element: element, score: comparison.score, differences: comparison.differences });
+      }
+    }
+
+    // Array.prototype.sort is stable, so ties stay in document order
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Get the frames an element is nested in, for results of queries run with
+   * `frames: true`
+   * @param {Element} element - Element to locate
+   * @returns {Array<Element>} - Frame elements from the outermost in, empty
+   *   for elements of the top-level document
+   */
+  function getFramePath(element) {
+    const path = [];
+    for (let frame = getFrameElement(element.ownerDocument); frame; frame = getFrameElement(frame.ownerDocument)) {
+      path.unshift(frame);
+    }
+    return path;
   }
 
   // Export the public API
   return {
+    CSSQuerySyntaxError,
+    CSSQueryTimeoutError,
+    compile,
+    createStyleCache,
+    parse,
+    stringify,
     querySelectorWithCssRules,
     querySelectorAllWithCssRules,
+    querySelectorAllWithCssRulesAsync,
+    iterateWithCssRules,
+    observe,
+    waitForCssRules,
+    explain,
+    generateQuery,
+    fingerprint,
+    findBySimilarity,
+    getFramePath,
     querySelector: querySelectorWithCssRules,
     querySelectorAll: querySelectorAllWithCssRules
   };
@@ -2,7 +2,7 @@
  * Comprehensive unit tests for CSS Selector with Rules
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -22,7 +22,7 @@ function initializeLibrary() {
 }
 
 const CSSQueryWithRules = initializeLibrary();
-const { querySelectorWithCssRules, querySelectorAllWithCssRules } = CSSQueryWithRules;
+const { querySelectorWithCssRules, querySelectorAllWithCssRules, querySelectorAllWithCssRulesAsync, iterateWithCssRules, observe, waitForCssRules, compile, createStyleCache, parse, stringify, CSSQuerySyntaxError, CSSQueryTimeoutError, getFramePath, explain, generateQuery, fingerprint, findBySimilarity } = CSSQueryWithRules;
 
 describe('CSS Selector with Rules', () => {
   
@@ -1335,5 +1335,1981 @@ describe('CSS Selector with Rules', () => {
       });
     });
   });
+
+  describe('Comparison Operators', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="layer" style="z-index: 5; font-size: 12px; opacity: 1; transition-duration: 0.3s;">Low</div>
+        <div class="layer" style="z-index: 10; font-size: 16px; opacity: 0.5; transition-duration: 500ms;">Mid</div>
+        <div class="layer" style="z-index: 20; font-size: 24px; opacity: 0; transition-duration: 2s;">High</div>
+      `;
+    });
+
+    it('should match values greater than or equal to a number', () => {
+      const results = querySelectorAllWithCssRules('.layer{ z-index: >= 10; }');
+      expect(results.map(el => el.textContent)).toEqual(['Mid', 'High']);
+    });
+
+    it('should match lengths strictly below a threshold', () => {
+      const results = querySelectorAllWithCssRules('.layer{ font-size: < 16px; }');
+      expect(results.map(el => el.textContent)).toEqual(['Low']);
+    });
+
+    it('should compare lengths across units', () => {
+      const results = querySelectorAllWithCssRules('.layer{ font-size: <= 12pt; }');
+      expect(results.map(el => el.textContent)).toEqual(['Low', 'Mid']);
+    });
+
+    it('should compare times across units', () => {
+      const results = querySelectorAllWithCssRules('.layer{ transition-duration: > 400ms; }');
+      expect(results.map(el => el.textContent)).toEqual(['Mid', 'High']);
+    });
+
+    it('should match values that are not equal', () => {
+      const results = querySelectorAllWithCssRules('.layer{ opacity: != 1; }');
+      expect(results.map(el => el.textContent)).toEqual(['Mid', 'High']);
+    });
+
+    it('should express ranges with repeated properties', () => {
+      const results = querySelectorAllWithCssRules('.layer{ z-index: > 5; z-index: < 20; }');
+      expect(results.map(el => el.textContent)).toEqual(['Mid']);
+    });
+
+    it('should not match when categories differ', () => {
+      const results = querySelectorAllWithCssRules('.layer{ font-size: > 1s; }');
+      expect(results).toHaveLength(0);
+    });
+
+    it('should not match non-numeric computed values', () => {
+      document.body.innerHTML = '<div class="auto" style="z-index: auto;"></div>';
+      const result = querySelectorWithCssRules('.auto{ z-index: > 0; }');
+      expect(result).toBeNull();
+    });
+
+    it('should work in child mode', () => {
+      document.body.innerHTML = `
+        <ul class="list">
+          <li style="opacity: 0.2;">Faded</li>
+          <li style="opacity: 1;">Solid</li>
+        </ul>
+      `;
+      const results = querySelectorAllWithCssRules('.list > { opacity: < 0.5; }');
+      expect(results.map(el => el.textContent)).toEqual(['Faded']);
+    });
+  });
+
+  describe('String Pattern Operators', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="card" style="font-family: 'Inter', sans-serif; background-image: url(hero-gradient.png); transform: matrix(1, 0, 0, 1, 10, 20);">Inter</div>
+        <div class="card" style="font-family: Georgia, serif; background-image: url(photo.png); transform: matrix(1, 0, 0, 1, 0, 0);">Georgia</div>
+      `;
+    });
+
+    it('should match a prefix with ^=', () => {
+      const results = querySelectorAllWithCssRules('.card{ font-family ^= "Inter"; }');
+      expect(results.map(el => el.textContent)).toEqual(['Inter']);
+    });
+
+    it('should match a suffix with $=', () => {
+      const results = querySelectorAllWithCssRules('.card{ font-family $= "serif"; }');
+      expect(results).toHaveLength(2);
+    });
+
+    it('should match a substring with *=', () => {
+      const results = querySelectorAllWithCssRules('.card{ background-image *= "gradient"; }');
+      expect(results.map(el => el.textContent)).toEqual(['Inter']);
+    });
+
+    it('should match a regular expression with ~=', () => {
+      const results = querySelectorAllWithCssRules('.card{ transform ~= /matrix\\(1, 0, 0, 1, [1-9]\\d*/; }');
+      expect(results.map(el => el.textContent)).toEqual(['Inter']);
+    });
+
+    it('should honor regular expression flags', () => {
+      const results = querySelectorAllWithCssRules('.card{ font-family ~= /^GEORGIA/i; }');
+      expect(results.map(el => el.textContent)).toEqual(['Georgia']);
+    });
+
+    it('should ignore the stateful g and y flags', () => {
+      document.body.innerHTML = `
+        <p style="font-family: Inter;">One</p>
+        <p style="font-family: Inter;">Two</p>
+        <p style="font-family: Inter;">Three</p>
+      `;
+      expect(querySelectorAllWithCssRules('p{ font-family ~= /inter/gi; }')).toHaveLength(3);
+      expect(querySelectorAllWithCssRules('p{ font-family ~= /inter/iy; }')).toHaveLength(3);
+      const compiled = compile('p{ font-family ~= /inter/gi; }');
+      expect(compiled.all()).toHaveLength(3);
+      expect(compiled.all()).toHaveLength(3);
+    });
+
+    it('should keep quotes inside a regular expression out of string tracking', () => {
+      document.body.innerHTML = `
+        <p id="w" style="font-family: Inter, sans-serif;"></p>
+        <p class="quote" style="font-family: Georgia;"></p>
+      `;
+      expect(querySelectorAllWithCssRules('#w{ font-family ~= /^"?Inter/ }').map(el => el.id)).toEqual(['w']);
+      expect(querySelectorAllWithCssRules("p{ font-family ~= /it's|Georgia/ }, #w{ font-family ~= /'?Inter/ }"))
+        .toHaveLength(2);
+    });
+
+    it('should not read braces inside a regular expression as blocks', () => {
+      document.body.innerHTML = `
+        <p class="x" style="font-family: Inter;">Inter</p>
+        <p class="y" style="font-family: Georgia;">Georgia</p>
+      `;
+      expect(querySelectorAllWithCssRules('.x{ font-family ~= /}|Inter/ }').map(el => el.textContent)).toEqual(['Inter']);
+      expect(querySelectorAllWithCssRules('.x{ font-family ~= /\\{|Inter/ }').map(el => el.textContent)).toEqual(['Inter']);
+      expect(querySelectorAllWithCssRules('.x{ font-family ~= /^\\w{5}$/ }, .y{ font-family ~= /}|Georgia/ }')
+        .map(el => el.textContent)).toEqual(['Inter', 'Georgia']);
+      expect(parse('.x{ font-family ~= /{/ }').groups[0].parts).toHaveLength(1);
+    });
+
+    it('should accept an operator after the colon', () => {
+      const results = querySelectorAllWithCssRules('.card{ font-family: ^= Georgia; }');
+      expect(results.map(el => el.textContent)).toEqual(['Georgia']);
+    });
+
+    it('should not split on semicolons inside quotes or regular expressions', () => {
+      document.body.innerHTML = '<div class="semi" style="font-family: Georgia, serif;"></div>';
+      expect(querySelectorWithCssRules('.semi{ font-family ~= /a;b|Georgia/; }')).not.toBeNull();
+      expect(querySelectorWithCssRules('.semi{ font-family *= ";"; }')).toBeNull();
+    });
+
+    it('should work in descendant mode', () => {
+      document.body.innerHTML = `
+        <section class="wrap">
+          <p style="font-family: 'Inter', sans-serif;">Match</p>
+          <p style="font-family: Georgia, serif;">Other</p>
+        </section>
+      `;
+      const results = querySelectorAllWithCssRules('.wrap { font-family ^= "inter"; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should work in child mode', () => {
+      document.body.innerHTML = `
+        <section class="wrap">
+          <p style="font-family: Georgia, serif;">Match</p>
+          <div><p style="font-family: Georgia, serif;">Nested</p></div>
+        </section>
+      `;
+      const results = querySelectorAllWithCssRules('.wrap > { font-family *= "georgia"; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+  });
+
+  describe('Shorthand Expansion', () => {
+    it('should expand margin into longhands', () => {
+      document.body.innerHTML = `
+        <div class="box" style="margin-top: 0px; margin-right: 12px; margin-bottom: 0px; margin-left: 12px;">Match</div>
+        <div class="box" style="margin-top: 0px; margin-right: 12px; margin-bottom: 4px; margin-left: 12px;">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.box{ margin: 0 12px; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should expand border into width, style and color', () => {
+      document.body.innerHTML = `
+        <div class="box" style="border: 1px solid rgb(255, 0, 0);">Match</div>
+        <div class="box" style="border: 1px dashed rgb(255, 0, 0);">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.box{ border: 1px solid red; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should expand padding and inset with comparison operators', () => {
+      document.body.innerHTML = `
+        <div class="box" style="position: absolute; padding: 8px; top: 1px; right: 1px; bottom: 1px; left: 1px;">Match</div>
+        <div class="box" style="position: absolute; padding: 8px 2px; top: 1px; right: 1px; bottom: 1px; left: 1px;">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.box{ padding: >= 4px; inset: 1px; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should expand flex into grow, shrink and basis', () => {
+      document.body.innerHTML = `
+        <div class="item" style="flex-grow: 2; flex-shrink: 1; flex-basis: auto;">Match</div>
+        <div class="item" style="flex-grow: 1; flex-shrink: 1; flex-basis: auto;">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.item{ flex: 2 1 auto; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should expand font into its components', () => {
+      document.body.innerHTML = `
+        <p class="text" style="font-style: italic; font-weight: bold; font-size: 12px; line-height: 30px; font-family: Georgia, serif;">Match</p>
+        <p class="text" style="font-style: normal; font-weight: bold; font-size: 12px; line-height: 30px; font-family: Georgia, serif;">Other</p>
+      `;
+      const results = querySelectorAllWithCssRules('.text{ font: italic bold 12px/30px Georgia, serif; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should expand background into its components', () => {
+      document.body.innerHTML = `
+        <div class="hero" style="background-color: rgb(255, 0, 0); background-repeat: no-repeat;">Match</div>
+        <div class="hero" style="background-color: rgb(255, 0, 0); background-repeat: repeat;">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.hero{ background: red no-repeat; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should leave declarations with pattern operators unexpanded', () => {
+      document.body.innerHTML = '<div class="box" style="margin: 5px;"></div>';
+      expect(querySelectorWithCssRules('.box{ margin *= "5px"; }')).not.toBeNull();
+    });
+
+    it('should report which longhand of a shorthand failed', async () => {
+      document.body.innerHTML = '<div class="box" style="margin: 0px 12px 4px;">Other</div>';
+
+      const [candidate] = explain('.box{ margin: 0 12px; }').groups[0].parts[0].candidates;
+      const failed = candidate.blocks[0].declarations.filter(declaration => !declaration.pass);
+      expect(failed).toMatchObject([{ property: 'margin-bottom', shorthand: 'margin', expected: '0', actual: '4px' }]);
+
+      const error = await waitForCssRules('.box{ margin: 0 12px; }', { timeout: 10 }).catch(e => e);
+      expect(error.message).toContain('div.box: margin-bottom (from margin): expected "0", got "4px"');
+    });
+  });
+
+  describe('CSS Color 4 Normalization', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="swatch" style="color: rgba(255, 0, 0, 0.5); background-color: rgb(102, 51, 153);">Translucent</div>
+        <div class="swatch" style="color: rgb(255, 0, 0); background-color: rgb(255, 99, 71);">Opaque</div>
+      `;
+    });
+
+    it('should match 8-digit hex with alpha', () => {
+      const results = querySelectorAllWithCssRules('.swatch{ color: #ff000080; }');
+      expect(results.map(el => el.textContent)).toEqual(['Translucent']);
+    });
+
+    it('should match 4-digit hex with alpha', () => {
+      const results = querySelectorAllWithCssRules('.swatch{ color: #f00f; }');
+      expect(results.map(el => el.textContent)).toEqual(['Opaque']);
+    });
+
+    it('should match space-separated rgb with slash alpha', () => {
+      const results = querySelectorAllWithCssRules('.swatch{ color: rgb(255 0 0 / 50%); }');
+      expect(results.map(el => el.textContent)).toEqual(['Translucent']);
+    });
+
+    it('should match hsla', () => {
+      const results = querySelectorAllWithCssRules('.swatch{ color: hsla(0, 100%, 50%, 0.5); }');
+      expect(results.map(el => el.textContent)).toEqual(['Translucent']);
+    });
+
+    it('should match the extended named colors', () => {
+      expect(querySelectorWithCssRules('.swatch{ background-color: rebeccapurple; }').textContent).toBe('Translucent');
+      expect(querySelectorWithCssRules('.swatch{ background-color: tomato; }').textContent).toBe('Opaque');
+    });
+
+    it('should match hwb, lab, lch, oklab and oklch', () => {
+      for (const color of ['hwb(0 0% 0%)', 'lab(54.29 80.8 69.89)', 'lch(54.29 106.84 40.85)', 'oklab(0.628 0.2249 0.1258)', 'oklch(62.8% 0.2577 29.23)']) {
+        const results = querySelectorAllWithCssRules(`.swatch{ color: ${color}; }`);
+        expect(results.map(el => el.textContent)).toEqual(['Opaque']);
+      }
+    });
+
+    it('should match color(srgb ...)', () => {
+      const results = querySelectorAllWithCssRules('.swatch{ color: color(srgb 1 0 0 / 0.5); }');
+      expect(results.map(el => el.textContent)).toEqual(['Translucent']);
+    });
+
+    it('should compare computed values written in other color syntaxes', () => {
+      document.body.innerHTML = '<div class="modern" style="color: #ff000080;"></div>';
+      expect(querySelectorWithCssRules('.modern{ color: rgba(255, 0, 0, 0.5); }')).not.toBeNull();
+    });
+
+    it('should resolve currentcolor against the element', () => {
+      document.body.innerHTML = `
+        <div class="current" style="color: rgb(0, 0, 255); outline-color: rgb(0, 0, 255);">Match</div>
+        <div class="current" style="color: rgb(0, 0, 255); outline-color: rgb(255, 0, 0);">Other</div>
+      `;
+      const results = querySelectorAllWithCssRules('.current{ outline-color: currentcolor; }');
+      expect(results.map(el => el.textContent)).toEqual(['Match']);
+    });
+
+    it('should normalize colors embedded in larger values', () => {
+      document.body.innerHTML = '<div class="shadow" style="box-shadow: 0 0 2px rgb(255, 0, 0);"></div>';
+      expect(querySelectorWithCssRules('.shadow{ box-shadow: 0 0 2px #f00; }')).not.toBeNull();
+    });
+  });
+
+  describe('Relative Units', () => {
+    beforeEach(() => {
+      document.documentElement.style.fontSize = '20px';
+      document.body.innerHTML = `
+        <div class="article" style="font-size: 12px;">
+          <h2 class="title" style="font-size: 24px; margin-top: 12px; line-height: 36px;">Double</h2>
+          <p class="title" style="font-size: 40px; margin-top: 40px;">Root</p>
+        </div>
+      `;
+    });
+
+    afterEach(() => {
+      document.documentElement.style.fontSize = '';
+    });
+
+    it('should resolve em for font-size against the parent font size', () => {
+      const results = querySelectorAllWithCssRules('.title{ font-size: 2em; }');
+      expect(results.map(el => el.textContent)).toEqual(['Double']);
+    });
+
+    it('should resolve em for other properties against the element font size', () => {
+      const results = querySelectorAllWithCssRules('.title{ margin-top: 0.5em; }');
+      expect(results.map(el => el.textContent)).toEqual(['Double']);
+    });
+
+    it('should resolve rem against the root font size', () => {
+      const results = querySelectorAllWithCssRules('.title{ font-size: 2rem; }');
+      expect(results.map(el => el.textContent)).toEqual(['Root']);
+    });
+
+    it('should resolve percentages for font-size and line-height', () => {
+      expect(querySelectorWithCssRules('.title{ font-size: 200%; }').textContent).toBe('Double');
+      expect(querySelectorWithCssRules('.title{ line-height: 150%; }').textContent).toBe('Double');
+    });
+
+    it('should resolve viewport units', () => {
+      document.body.innerHTML = `<div class="banner" style="width: ${window.innerWidth / 10}px;"></div>`;
+      expect(querySelectorWithCssRules('.banner{ width: 10vw; }')).not.toBeNull();
+    });
+
+    it('should resolve relative units in comparisons', () => {
+      const results = querySelectorAllWithCssRules('.title{ font-size: > 1.5rem; }');
+      expect(results.map(el => el.textContent)).toEqual(['Root']);
+    });
+
+    it('should still match values the browser leaves unresolved', () => {
+      document.body.innerHTML = '<div class="half" style="width: 50%;"></div>';
+      expect(querySelectorWithCssRules('.half{ width: 50%; }')).not.toBeNull();
+    });
+  });
+
+  describe('Tolerance', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="panel" style="width: 199px; color: rgb(39, 167, 70); opacity: 0.49;">Close</div>
+        <div class="panel" style="width: 190px; color: rgb(0, 0, 255); opacity: 0.2;">Far</div>
+      `;
+    });
+
+    it('should match lengths within a per-declaration tolerance', () => {
+      const results = querySelectorAllWithCssRules('.panel{ width: 200px ±2px; }');
+      expect(results.map(el => el.textContent)).toEqual(['Close']);
+    });
+
+    it('should accept +/- as the tolerance marker', () => {
+      const results = querySelectorAllWithCssRules('.panel{ width: 200px +/- 2px; }');
+      expect(results.map(el => el.textContent)).toEqual(['Close']);
+    });
+
+    it('should not match outside the tolerance', () => {
+      expect(querySelectorWithCssRules('.panel{ width: 200px ±0.5px; }')).toBeNull();
+    });
+
+    it('should convert tolerance units', () => {
+      const results = querySelectorAllWithCssRules('.panel{ width: 200px ±1pt; }');
+      expect(results.map(el => el.textContent)).toEqual(['Close']);
+    });
+
+    it('should match colors within a deltaE tolerance', () => {
+      expect(querySelectorWithCssRules('.panel{ color: rgb(40, 167, 69); }')).toBeNull();
+      const results = querySelectorAllWithCssRules('.panel{ color: rgb(40, 167, 69) ±3; }');
+      expect(results.map(el => el.textContent)).toEqual(['Close']);
+    });
+
+    it('should apply a query-wide tolerance per category', () => {
+      const options = { tolerance: { length: 1, color: 3, number: 0.01 } };
+      const results = querySelectorAllWithCssRules(
+        '.panel{ width: 200px; color: rgb(40, 167, 69); opacity: 0.5; }',
+        document,
+        options
+      );
+      expect(results.map(el => el.textContent)).toEqual(['Close']);
+      expect(querySelectorWithCssRules('.panel{ width: 200px; }', document, { tolerance: { length: 0.5 } })).toBeNull();
+    });
+
+    it('should loosen comparison bounds by the tolerance', () => {
+      document.body.innerHTML = '<div class="panel" style="width: 201px; opacity: 0.5;">Panel</div>';
+      expect(querySelectorWithCssRules('.panel{ width: > 202px; }')).toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: > 202px ±2px; }')).not.toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: >= 203px ±2px; }')).not.toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: < 200px ±2px; }')).not.toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: <= 199px ±2px; }')).not.toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: > 204px ±2px; }')).toBeNull();
+      expect(querySelectorWithCssRules('.panel{ width: < 198px ±2px; }')).toBeNull();
+      expect(querySelectorWithCssRules('.panel{ opacity: > 0.52; }', document, { tolerance: { number: 0.05 } })).not.toBeNull();
+    });
+
+    it('should let a declaration tolerance override the query tolerance', () => {
+      const result = querySelectorWithCssRules('.panel{ width: 200px ±0px; }', document, { tolerance: { length: 5 } });
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Pseudo-Element Styles', () => {
+    const pseudoStyles = new Map();
+    let getComputedStyleSpy;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <ul class="list">
+          <li class="item starred">Starred</li>
+          <li class="item plain">Plain</li>
+        </ul>
+      `;
+
+      // happy-dom does not compute pseudo-element styles, so provide them
+      const original = window.getComputedStyle.bind(window);
+      getComputedStyleSpy = vi.spyOn(window, 'getComputedStyle').mockImplementation((element, pseudo) => {
+        if (!pseudo) return original(element);
+        const styles = (pseudoStyles.get(element) || {})[pseudo] || { content: 'none' };
+        return Object.assign({ getPropertyValue: name => styles[name] || '' }, styles);
+      });
+
+      pseudoStyles.set(document.querySelector('.starred'), {
+        '::before': { content: '"★"', color: 'rgb(255, 215, 0)' },
+        '::after': { content: '""', display: 'block' }
+      });
+      pseudoStyles.set(document.querySelector('.plain'), {
+        '::before': { content: '"•"', color: 'rgb(0, 0, 0)' }
+      });
+    });
+
+    afterEach(() => {
+      getComputedStyleSpy.mockRestore();
+      pseudoStyles.clear();
+    });
+
+    it('should match the host element by its ::before style', () => {
+      const results = querySelectorAllWithCssRules('.item::before{ content: "★"; color: gold; }');
+      expect(results.map(el => el.textContent)).toEqual(['Starred']);
+    });
+
+    it('should accept the legacy single-colon syntax', () => {
+      const results = querySelectorAllWithCssRules('.item:before{ color: rgb(0, 0, 0); }');
+      expect(results.map(el => el.textContent)).toEqual(['Plain']);
+    });
+
+    it('should not match when the pseudo-element is not generated', () => {
+      const results = querySelectorAllWithCssRules('.item::after{ display: block; }');
+      expect(results.map(el => el.textContent)).toEqual(['Starred']);
+    });
+
+    it('should match nested pseudo-element blocks', () => {
+      const results = querySelectorAllWithCssRules(`
+        .item{
+          display: list-item;
+          ::before { color: gold; }
+          ::after { content: ""; }
+        }
+      `);
+      expect(results.map(el => el.textContent)).toEqual(['Starred']);
+    });
+
+    it('should match pseudo-elements in child mode', () => {
+      const results = querySelectorAllWithCssRules('.list > { ::before { content ^= "•"; } }');
+      expect(results.map(el => el.textContent)).toEqual(['Plain']);
+    });
+
+    it('should treat a pseudo-element after a combinator as any descendant', () => {
+      const results = querySelectorAllWithCssRules('.list ::before{ color: gold; }');
+      expect(results.map(el => el.textContent)).toEqual(['Starred']);
+    });
+  });
+
+  describe('Negated and Alternative Blocks', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="toolbar">
+          <button class="btn" style="display: flex; opacity: 1;">Visible</button>
+          <button class="btn" style="display: flex; opacity: 0;">Hidden</button>
+          <button class="btn" style="display: block; opacity: 1;">Block</button>
+        </div>
+        <div class="alerts">
+          <p class="alert" style="color: rgb(255, 0, 0);">Red</p>
+          <p class="alert" style="color: rgb(139, 0, 0);">Dark red</p>
+          <p class="alert" style="color: rgb(0, 0, 255);">Blue</p>
+        </div>
+      `;
+    });
+
+    it('should exclude elements matching a negated block', () => {
+      const results = querySelectorAllWithCssRules('.btn{ display: flex; } !{ opacity: 0; }');
+      expect(results.map(el => el.textContent)).toEqual(['Visible']);
+    });
+
+    it('should match elements matching any alternative block', () => {
+      const results = querySelectorAllWithCssRules('.alert{ color: red; } | { color: darkred; }');
+      expect(results.map(el => el.textContent)).toEqual(['Red', 'Dark red']);
+    });
+
+    it('should combine alternatives and negations', () => {
+      const results = querySelectorAllWithCssRules('.btn{ display: flex; } | { display: block; } !{ opacity: 0; }');
+      expect(results.map(el => el.textContent)).toEqual(['Visible', 'Block']);
+    });
+
+    it('should negate a block on its own', () => {
+      const results = querySelectorAllWithCssRules('.btn!{ opacity: 0; }');
+      expect(results.map(el => el.textContent)).toEqual(['Visible', 'Block']);
+    });
+
+    it('should support negation in descendant mode', () => {
+      const results = querySelectorAllWithCssRules('.alerts !{ color: blue; }');
+      expect(results.map(el => el.textContent)).toEqual(['Red', 'Dark red']);
+    });
+
+    it('should support alternatives in descendant mode', () => {
+      const results = querySelectorAllWithCssRules('.alerts { color: blue; } | { color: red; }');
+      expect(results.map(el => el.textContent)).toEqual(['Red', 'Blue']);
+    });
+
+    it('should support negation and alternatives in child mode', () => {
+      expect(querySelectorAllWithCssRules('.toolbar > !{ display: flex; }').map(el => el.textContent)).toEqual(['Block']);
+      expect(querySelectorAllWithCssRules('.toolbar > { opacity: 0; } | { display: block; }').map(el => el.textContent))
+        .toEqual(['Hidden', 'Block']);
+    });
+
+    it('should keep narrowing with blocks that follow', () => {
+      const results = querySelectorAllWithCssRules('.toolbar{ display: block; } !{ opacity: 0; } > { opacity: 1; }');
+      expect(results.map(el => el.textContent)).toEqual(['Visible', 'Block']);
+    });
+  });
+
+  describe('Selector Groups', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="b" style="display: block;">
+          <span class="child" style="display: flex;">B child</span>
+        </div>
+        <p class="a" style="color: rgb(255, 0, 0);">A red</p>
+        <p class="a" style="color: rgb(0, 0, 255);">A blue</p>
+        <div class="b">
+          <span class="child" style="display: inline;">Other child</span>
+        </div>
+      `;
+    });
+
+    it('should return the union of comma-separated groups in document order', () => {
+      const results = querySelectorAllWithCssRules('.a{ color: red; }, .b > { display: flex; }');
+      expect(results.map(el => el.textContent)).toEqual(['B child', 'A red']);
+    });
+
+    it('should return the first match in document order across groups', () => {
+      const result = querySelectorWithCssRules('.a{ color: red; }, .b > { display: flex; }');
+      expect(result.textContent).toBe('B child');
+    });
+
+    it('should not return duplicates when groups overlap', () => {
+      const results = querySelectorAllWithCssRules('.a{ color: red; }, p{ color: rgb(255, 0, 0); }');
+      expect(results.map(el => el.textContent)).toEqual(['A red']);
+    });
+
+    it('should treat a comma in a plain selector as separate groups', () => {
+      const results = querySelectorAllWithCssRules('.nothing, .a{ color: blue; }');
+      expect(results.map(el => el.textContent)).toEqual(['A blue']);
+    });
+
+    it('should not split on commas inside functions, attributes or rule blocks', () => {
+      document.body.innerHTML = `
+        <p class="x" title="a,b" style="font-family: Georgia, serif;">Match</p>
+        <p class="y">Other</p>
+      `;
+      expect(querySelectorAllWithCssRules(':is(.x, .z)[title="a,b"]{ font-family: Georgia, serif; }')).toHaveLength(1);
+    });
+  });
+
+  describe('Document Order', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="box">
+          <div class="box">
+            <p style="color: rgb(255, 0, 0);">Inner</p>
+          </div>
+          <p style="color: rgb(255, 0, 0);">Outer</p>
+        </div>
+      `;
+    });
+
+    it('should return child mode results from nested roots in document order', () => {
+      const results = querySelectorAllWithCssRules('.box > { color: red; }');
+      expect(results.map(el => el.textContent)).toEqual(['Inner', 'Outer']);
+    });
+
+    it('should return the first match in document order', () => {
+      const result = querySelectorWithCssRules('.box > { color: red; }');
+      expect(result.textContent).toBe('Inner');
+    });
+
+    it('should return chained descendant and child results in document order', () => {
+      const results = querySelectorAllWithCssRules('body { display: block; } > { color: red; }');
+      expect(results.map(el => el.textContent)).toEqual(['Inner', 'Outer']);
+    });
+  });
+
+  describe('Compiled Queries', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div id="root1">
+          <button class="btn" style="display: flex; color: rgb(255, 0, 0);">One</button>
+          <button class="btn" style="display: block; color: rgb(255, 0, 0);">Two</button>
+        </div>
+        <div id="root2">
+          <button class="btn" style="display: flex; color: #ff0000;">Three</button>
+        </div>
+      `;
+    });
+
+    it('should expose the source query', () => {
+      const query = '.btn{ display: flex; }';
+      expect(compile(query).source).toBe(query);
+    });
+
+    it('should return the same results as the query functions', () => {
+      const query = '.btn{ display: flex; color: red; }';
+      const compiled = compile(query);
+      expect(compiled.all()).toEqual(querySelectorAllWithCssRules(query));
+      expect(compiled.first()).toBe(querySelectorWithCssRules(query));
+    });
+
+    it('should be reusable across roots', () => {
+      const compiled = compile('.btn{ display: flex; }');
+      expect(compiled.all(document.getElementById('root1')).map(el => el.textContent)).toEqual(['One']);
+      expect(compiled.first(document.getElementById('root2')).textContent).toBe('Three');
+    });
+
+    it('should evaluate against the current state of the DOM', () => {
+      const compiled = compile('.btn{ display: flex; }');
+      expect(compiled.all()).toHaveLength(2);
+      document.querySelectorAll('.btn')[1].style.display = 'flex';
+      expect(compiled.all()).toHaveLength(3);
+    });
+
+    it('should check whether an element matches', () => {
+      const compiled = compile('#root1 > { display: flex; }');
+      const [one, two, three] = document.querySelectorAll('.btn');
+      expect(compiled.matches(one)).toBe(true);
+      expect(compiled.matches(two)).toBe(false);
+      expect(compiled.matches(three)).toBe(false);
+    });
+
+    it('should apply options given at compile time', () => {
+      document.body.innerHTML = '<div class="panel" style="width: 199px;"></div>';
+      expect(compile('.panel{ width: 200px; }', { tolerance: { length: 2 } }).first()).not.toBeNull();
+    });
+
+    it('should resolve currentcolor per element in compiled queries', () => {
+      document.body.innerHTML = `
+        <p class="cc" style="color: rgb(0, 0, 255); border-top-color: rgb(0, 0, 255);">Blue</p>
+        <p class="cc" style="color: rgb(255, 0, 0); border-top-color: rgb(255, 0, 0);">Red</p>
+      `;
+      const compiled = compile('.cc{ border-top-color: currentcolor; }');
+      expect(compiled.all()).toHaveLength(2);
+    });
+  });
+
+  describe('Syntax Errors', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div class="card" style="display: flex;"></div>';
+    });
+
+    const syntaxError = (query, options) => {
+      try {
+        querySelectorAllWithCssRules(query, document, options);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it('should report an unclosed rule block with the position it opened at', () => {
+      const error = syntaxError('.card{ display: flex;');
+      expect(error).toBeInstanceOf(CSSQuerySyntaxError);
+      expect(error).toBeInstanceOf(SyntaxError);
+      expect(error.offset).toBe(21);
+      expect(error.line).toBe(1);
+      expect(error.column).toBe(22);
+      expect(error.hint).toBe("expected '}' to close rule block opened at 1:6");
+      expect(error.snippet).toBe('.card{ display: flex;');
+      expect(error.query).toBe('.card{ display: flex;');
+    });
+
+    it('should report an unterminated string', () => {
+      const error = syntaxError('.card[title="a]{ display: flex; }');
+      expect(error).toBeInstanceOf(CSSQuerySyntaxError);
+      expect(error.offset).toBe(12);
+      expect(error.message).toContain('Unterminated string');
+    });
+
+    it('should report an unexpected closing brace', () => {
+      const error = syntaxError('.card}');
+      expect(error.offset).toBe(5);
+      expect(error.message).toContain("Unexpected '}'");
+    });
+
+    it('should report a declaration without a colon', () => {
+      const error = syntaxError('.card{ display flex; }');
+      expect(error.offset).toBe(14);
+      expect(error.hint).toBe("expected ':' or an operator after 'display'");
+    });
+
+    it('should report a missing value', () => {
+      const error = syntaxError('.card{ color: red; display: }');
+      expect(error.message).toContain('Missing value');
+      expect(error.hint).toBe("expected a value for 'display'");
+    });
+
+    it('should report an unterminated regular expression', () => {
+      const error = syntaxError('.card{ font-family ~= /inter }');
+      expect(error.offset).toBe(22);
+      expect(error.message).toContain('Unterminated regular expression');
+    });
+
+    it('should report an invalid regular expression', () => {
+      const error = syntaxError('.card{ font-family ~= /(inter/; }');
+      expect(error.message).toContain('Invalid regular expression');
+    });
+
+    it('should report an alternative block with nothing to follow', () => {
+      const error = syntaxError('| { display: flex; }');
+      expect(error.offset).toBe(0);
+      expect(error.hint).toBe('an alternative block must follow another rule block');
+    });
+
+    it('should report an invalid selector', () => {
+      const error = syntaxError('.card, # .x{ display: flex; }');
+      expect(error).toBeInstanceOf(CSSQuerySyntaxError);
+      expect(error.offset).toBe(7);
+      expect(error.message).toContain("Invalid selector '# .x'");
+    });
+
+    it('should report an empty selector group', () => {
+      const error = syntaxError('.card, , .x');
+      expect(error.offset).toBe(7);
+    });
+
+    it('should give positions within multi-line queries', () => {
+      const error = syntaxError('.card{\n  display: flex;\n  color red;\n}');
+      expect(error.line).toBe(3);
+      expect(error.column).toBe(8);
+      expect(error.snippet).toBe('  color red;');
+      expect(error.message).toContain('  color red;\n         ^');
+    });
+
+    it('should report errors in later selector groups at their position in the query', () => {
+      const error = syntaxError('.card{ display: flex; }, .x{ width }');
+      expect(error.offset).toBe(34);
+    });
+
+    it('should skip malformed pieces in lenient mode', () => {
+      expect(querySelectorAllWithCssRules('.card{ display flex; }', document, { lenient: true })).toHaveLength(1);
+      expect(querySelectorAllWithCssRules('.card{ display: flex;', document, { lenient: true })).toHaveLength(1);
+      expect(compile('.card{ display: flex; width }', { lenient: true }).all()).toHaveLength(1);
+    });
+
+    it('should not treat braces inside quoted values as block delimiters', () => {
+      document.body.innerHTML = '<div class="card" style="font-family: \'a}b\';"></div>';
+      expect(() => querySelectorAllWithCssRules('.card{ font-family *= "a}b"; }')).not.toThrow();
+    });
+  });
+
+  describe('Parser and Serializer', () => {
+    it('should parse a query into groups, parts, blocks and declarations', () => {
+      const ast = parse('.card{ display: flex; } > { z-index: >= 10; }, .x');
+      expect(ast.type).toBe('Query');
+      expect(ast.groups).toHaveLength(2);
+
+      const [card, child] = ast.groups[0].parts;
+      expect(card).toMatchObject({ type: 'Part', selector: '.card', relationship: 'filter', pseudo: null, start: 0, end: 23 });
+      expect(card.blocks[0]).toMatchObject({ type: 'Block', negated: false, start: 5, end: 23 });
+      expect(card.blocks[0].declarations[0]).toEqual({
+        type: 'Declaration',
+        property: 'display',
+        operator: '=',
+        value: 'flex',
+        tolerance: null,
+        pseudo: null,
+        start: 7,
+        end: 20
+      });
+      expect(child.relationship).toBe('child');
+      expect(child.blocks[0].declarations[0]).toMatchObject({ property: 'z-index', operator: '>=', value: '10' });
+
+      expect(ast.groups[1].parts[0]).toMatchObject({ selector: '.x', relationship: null, blocks: [], start: 47, end: 49 });
+      expect(ast.groups[1]).toMatchObject({ start: 47, end: 49 });
+    });
+
+    it('should keep declarations as written, before shorthand expansion', () => {
+      const [declaration] = parse('.a{ margin: 0 auto; }').groups[0].parts[0].blocks[0].declarations;
+      expect(declaration).toMatchObject({ property: 'margin', value: '0 auto' });
+    });
+
+    it('should record descendant relationships, pseudo-elements and negated blocks', () => {
+      const [part] = parse('.list::before !{ content: none; } | { color: red; }').groups[0].parts;
+      expect(part).toMatchObject({ selector: '.list', relationship: 'descendant', pseudo: '::before' });
+      expect(part.blocks.map(block => block.negated)).toEqual([true, false]);
+    });
+
+    it('should record nested pseudo-element declarations and tolerances', () => {
+      const [first, second] = parse('.a{ ::after { width: 10px ± 2px; } color: red; }').groups[0].parts[0].blocks[0].declarations;
+      expect(first).toMatchObject({ property: 'width', pseudo: '::after', tolerance: { category: 'length', amount: 2 } });
+      expect(second).toMatchObject({ property: 'color', pseudo: null });
+    });
+
+    it('should throw syntax errors unless lenient', () => {
+      expect(() => parse('.a{ color red; }')).toThrow(CSSQuerySyntaxError);
+      expect(parse('.a{ color red; }', { lenient: true }).groups[0].parts[0].blocks[0].declarations).toEqual([]);
+    });
+
+    it('should print a canonical query', () => {
+      expect(stringify(parse('.card{display:flex;;z-index:>=10}  .item  >{ font-family^=\'Inter\' }'))).toBe(
+        '.card{ display: flex; z-index: >= 10; } .item > { font-family ^= "Inter"; }'
+      );
+      expect(stringify(parse('.a  ,  .b{width:10px±2px}'))).toBe('.a, .b{ width: 10px ±2px; }');
+      expect(stringify(parse('.a{ color: red }!{ opacity: 0 }|{ color: blue }'))).toBe(
+        '.a{ color: red; } !{ opacity: 0; } | { color: blue; }'
+      );
+    });
+
+    it('should round-trip queries to an equivalent AST', () => {
+      const queries = [
+        '.card{ display: flex; }',
+        '#root { color: red; } > { z-index: < 5; }',
+        '.list !{ display: none; }',
+        '.item::before{ content: "a;b"; }',
+        '.a{ ::after { color: red; } ::before { color: blue; } width: 1px; }',
+        '.a{ font-family ~= /inter|roboto/i; font-family $= "Sans \\"X\\""; }',
+        '.a{ color: red; } { display: flex; } .b',
+        '.a > .b, .c{ opacity: 0.5 ± 0.1; }'
+      ];
+      const strip = ast => JSON.parse(JSON.stringify(ast, (key, value) =>
+        key === 'start' || key === 'end' || key === 'source' ? undefined : value));
+
+      for (const query of queries) {
+        const printed = stringify(parse(query));
+        expect(strip(parse(printed))).toEqual(strip(parse(query)));
+        expect(stringify(parse(printed))).toBe(printed);
+      }
+    });
+
+    it('should print hand-built ASTs', () => {
+      const ast = {
+        groups: [{
+          parts: [{
+            selector: '.btn',
+            relationship: 'filter',
+            blocks: [{ declarations: [{ property: 'display', operator: '=', value: 'flex' }] }]
+          }]
+        }]
+      };
+      const query = stringify(ast);
+      expect(query).toBe('.btn{ display: flex; }');
+
+      document.body.innerHTML = '<button class="btn" style="display: flex;"></button>';
+      expect(querySelectorAllWithCssRules(query)).toHaveLength(1);
+    });
+  });
+
+  describe('Style Cache', () => {
+    let getComputedStyleSpy;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="panel" style="color: red;">
+          <div class="panel" style="color: red;">
+            <span class="label" style="display: block;">A</span>
+            <span class="label" style="display: inline;">B</span>
+          </div>
+        </div>
+      `;
+      getComputedStyleSpy = vi.spyOn(window, 'getComputedStyle');
+    });
+
+    afterEach(() => {
+      getComputedStyleSpy.mockRestore();
+    });
+
+    const readsPerElement = () => {
+      const counts = new Map();
+      for (const [element] of getComputedStyleSpy.mock.calls) {
+        counts.set(element, (counts.get(element) || 0) + 1);
+      }
+      return Math.max(...counts.values());
+    };
+
+    it('should read each element once per evaluation across overlapping ancestors', () => {
+      const results = querySelectorAllWithCssRules('.panel { display: inline; }');
+      expect(results.map(el => el.textContent)).toEqual(['B']);
+      expect(readsPerElement()).toBe(1);
+    });
+
+    it('should read each element once per evaluation across selector groups', () => {
+      querySelectorAllWithCssRules('.label{ display: block; }, .label{ display: inline; }, span{ color: red; }');
+      expect(readsPerElement()).toBe(1);
+    });
+
+    it('should not share values between evaluations by default', () => {
+      const label = document.querySelector('.label');
+      expect(querySelectorAllWithCssRules('.label{ display: block; }')).toHaveLength(1);
+      label.style.display = 'inline';
+      expect(querySelectorAllWithCssRules('.label{ display: block; }')).toHaveLength(0);
+    });
+
+    it('should reuse a persistent cache across calls', () => {
+      const cache = createStyleCache(document);
+      querySelectorAllWithCssRules('.label{ display: block; }', document, { cache });
+      const reads = getComputedStyleSpy.mock.calls.length;
+      querySelectorAllWithCssRules('.label{ display: inline; }', document, { cache });
+      compile('.label{ display: block; }', { cache }).all();
+      expect(getComputedStyleSpy.mock.calls.length).toBe(reads);
+      cache.disconnect();
+    });
+
+    it('should clear a persistent cache on invalidate()', () => {
+      const cache = createStyleCache();
+      const label = document.querySelector('.label');
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(1);
+      label.style.display = 'inline';
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(1);
+      cache.invalidate();
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(0);
+    });
+
+    it('should clear a persistent cache when the observed subtree changes', async () => {
+      const cache = createStyleCache(document.body);
+      const label = document.querySelector('.label');
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(1);
+      label.setAttribute('style', 'display: inline;');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(0);
+      cache.disconnect();
+    });
+
+    it('should stop clearing after disconnect()', async () => {
+      const cache = createStyleCache(document.body);
+      const label = document.querySelector('.label');
+      querySelectorAllWithCssRules('.label{ display: block; }', document, { cache });
+      cache.disconnect();
+      label.setAttribute('style', 'display: inline;');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(querySelectorAllWithCssRules('.label{ display: block; }', document, { cache })).toHaveLength(1);
+    });
+  });
+
+  describe('Single-Pass Traversal', () => {
+    let getComputedStyleSpy;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <ul class="list">
+          ${Array.from({ length: 50 }, (_, i) => `<li class="item" style="display: block;">${i}</li>`).join('')}
+        </ul>
+      `;
+      getComputedStyleSpy = vi.spyOn(window, 'getComputedStyle');
+    });
+
+    afterEach(() => {
+      getComputedStyleSpy.mockRestore();
+    });
+
+    it('should stop at the first match', () => {
+      expect(querySelectorWithCssRules('.list { display: block; }').textContent).toBe('0');
+      expect(getComputedStyleSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only read styles of elements that pass the selector checks', () => {
+      querySelectorAllWithCssRules('.item{ display: block; }');
+      expect(getComputedStyleSpy).toHaveBeenCalledTimes(50);
+    });
+
+    it('should iterate matches lazily in document order', () => {
+      const iterator = iterateWithCssRules('.list > { display: block; }');
+      expect(getComputedStyleSpy).not.toHaveBeenCalled();
+
+      expect(iterator.next().value.textContent).toBe('0');
+      expect(iterator.next().value.textContent).toBe('1');
+      expect(getComputedStyleSpy).toHaveBeenCalledTimes(2);
+
+      expect([...iterator]).toHaveLength(48);
+    });
+
+    it('should iterate selector groups once each, in document order', () => {
+      const items = [...iterateWithCssRules('.item:nth-child(2){ display: block; }, .item:first-child, .item:nth-child(-n+2)')];
+      expect(items.map(el => el.textContent)).toEqual(['0', '1']);
+    });
+
+    it('should expose iteration on compiled queries', () => {
+      const compiled = compile('.item{ display: block; }');
+      const list = document.querySelector('.list');
+      let count = 0;
+      for (const element of compiled.iterate(list)) {
+        if (++count === 3) break;
+        expect(element.classList.contains('item')).toBe(true);
+      }
+      expect(count).toBe(3);
+    });
+
+    it('should throw syntax errors when iteration is requested', () => {
+      expect(() => iterateWithCssRules('.item{ display block; }')).toThrow(CSSQuerySyntaxError);
+    });
+
+    it('should keep filter mode from descending into nested matches', () => {
+      document.body.innerHTML = `
+        <div class="menu" style="display: block;">
+          <a class="link" style="color: red;">Top</a>
+          <div class="menu" style="display: flex;">
+            <a class="link" style="color: red;">Nested</a>
+          </div>
+        </div>
+      `;
+      const results = querySelectorAllWithCssRules('.menu{ display: block; } .link{ color: red; }');
+      expect(results.map(el => el.textContent)).toEqual(['Top']);
+      const iterated = [...iterateWithCssRules('.menu{ display: block; } .link{ color: red; }')];
+      expect(iterated).toEqual(results);
+    });
+
+    it('should check elements against a root in matches()', () => {
+      const compiled = compile('.item{ display: block; }');
+      const [first] = document.querySelectorAll('.item');
+      expect(compiled.matches(first)).toBe(true);
+      expect(compiled.matches(first, first)).toBe(false);
+      expect(compiled.matches(first, document.createElement('div'))).toBe(false);
+    });
+  });
+
+  describe('Asynchronous Queries', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <ul class="list">
+          ${Array.from({ length: 20 }, (_, i) => `<li class="item" style="display: ${i % 2 ? 'none' : 'block'};">${i}</li>`).join('')}
+        </ul>
+      `;
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should resolve with the same results as the synchronous query', async () => {
+      const query = '.list > { display: block; }';
+      const results = await querySelectorAllWithCssRulesAsync(query);
+      expect(results).toEqual(querySelectorAllWithCssRules(query));
+      expect(results).toHaveLength(10);
+    });
+
+    it('should yield between chunks and report progress', async () => {
+      const progress = [];
+      const results = await querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, {
+        chunkSize: 5,
+        yieldEvery: 0,
+        onProgress: update => progress.push(update)
+      });
+
+      expect(results).toHaveLength(10);
+      expect(progress.length).toBeGreaterThan(2);
+      expect(progress[0].visited).toBe(5);
+      expect(progress[progress.length - 1]).toEqual({ visited: document.querySelectorAll('*').length, matched: 10 });
+    });
+
+    it('should yield through requestIdleCallback when available', async () => {
+      const requestIdleCallback = vi.fn(callback => setTimeout(callback, 0));
+      vi.stubGlobal('requestIdleCallback', requestIdleCallback);
+
+      await querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, { chunkSize: 5, yieldEvery: 0 });
+      expect(requestIdleCallback).toHaveBeenCalled();
+    });
+
+    it('should reject when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should stop walking when aborted mid-way', async () => {
+      const controller = new AbortController();
+      const progress = [];
+      const promise = querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, {
+        signal: controller.signal,
+        chunkSize: 5,
+        yieldEvery: 0,
+        onProgress: update => {
+          progress.push(update);
+          controller.abort();
+        }
+      });
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+      expect(progress).toHaveLength(1);
+    });
+
+    it('should reject with syntax errors', async () => {
+      await expect(querySelectorAllWithCssRulesAsync('.item{ display none; }')).rejects.toBeInstanceOf(CSSQuerySyntaxError);
+    });
+
+    it('should reject chunk sizes and time budgets that cannot make progress', async () => {
+      for (const chunkSize of [0, -1, 0.5, NaN]) {
+        await expect(querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, { chunkSize }))
+          .rejects.toThrow(RangeError);
+      }
+      for (const yieldEvery of [-1, NaN]) {
+        await expect(querySelectorAllWithCssRulesAsync('.item{ display: none; }', document, { yieldEvery }))
+          .rejects.toThrow(RangeError);
+      }
+    });
+  });
+
+  describe('Live Queries', () => {
+    let added;
+    let removed;
+    let handle;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const texts = elements => elements.map(el => el.textContent);
+    const start = (query, root = document) => {
+      handle = observe(query, root, {
+        onAdd: element => added.push(element),
+        onRemove: element => removed.push(element)
+      });
+    };
+
+    beforeEach(() => {
+      added = [];
+      removed = [];
+      document.body.innerHTML = `
+        <div id="a">
+          <button class="btn" style="color: red;">One</button>
+          <button class="btn" style="color: blue;">Two</button>
+        </div>
+        <div id="b">
+          <button class="btn" style="color: blue;">Three</button>
+        </div>
+      `;
+    });
+
+    afterEach(() => {
+      if (handle) handle.disconnect();
+      handle = null;
+    });
+
+    it('should report initial matches', () => {
+      start('.btn{ color: red; }');
+      expect(texts(added)).toEqual(['One']);
+      expect(removed).toEqual([]);
+    });
+
+    it('should report elements that start and stop matching through style changes', async () => {
+      start('.btn{ color: red; }');
+      added = [];
+      const [one, two] = document.querySelectorAll('.btn');
+
+      two.setAttribute('style', 'color: red;');
+      one.setAttribute('style', 'color: green;');
+      await flush();
+
+      expect(texts(added)).toEqual(['Two']);
+      expect(texts(removed)).toEqual(['One']);
+    });
+
+    it('should report class changes', async () => {
+      document.head.innerHTML = '<style>.active { color: red !important; }</style>';
+      start('.btn{ color: red; }');
+      added = [];
+
+      document.querySelectorAll('.btn')[2].classList.add('active');
+      await flush();
+      expect(texts(added)).toEqual(['Three']);
+      document.head.innerHTML = '';
+    });
+
+    it('should report inserted and removed elements', async () => {
+      start('.btn{ color: red; }');
+      added = [];
+
+      const button = document.createElement('button');
+      button.className = 'btn';
+      button.setAttribute('style', 'color: red;');
+      button.textContent = 'Four';
+      document.getElementById('b').appendChild(button);
+      document.querySelector('.btn').remove();
+      await flush();
+
+      expect(texts(added)).toEqual(['Four']);
+      expect(texts(removed)).toEqual(['One']);
+    });
+
+    it('should re-evaluate everything when a stylesheet is inserted', async () => {
+      start('.btn{ color: red; }');
+      added = [];
+
+      const style = document.createElement('style');
+      style.textContent = '#b .btn { color: red !important; }';
+      document.head.appendChild(style);
+      await flush();
+
+      expect(texts(added)).toEqual(['Three']);
+      style.remove();
+    });
+
+    it('should only re-evaluate the affected subtree', async () => {
+      start('.btn{ color: red; }');
+      const spy = vi.spyOn(window, 'getComputedStyle');
+
+      document.querySelectorAll('.btn')[2].setAttribute('style', 'color: red;');
+      await flush();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(texts(added)).toEqual(['One', 'Three']);
+      spy.mockRestore();
+    });
+
+    it('should only watch below the root', async () => {
+      start('.btn{ color: red; }', document.getElementById('b'));
+      expect(added).toEqual([]);
+
+      document.querySelectorAll('.btn')[1].setAttribute('style', 'color: red;');
+      document.querySelectorAll('.btn')[2].setAttribute('style', 'color: red;');
+      await flush();
+
+      expect(texts(added)).toEqual(['Three']);
+    });
+
+    it('should re-evaluate on refresh()', () => {
+      start('.btn{ color: red; }');
+      handle.disconnect();
+      document.querySelectorAll('.btn')[1].setAttribute('style', 'color: red;');
+      handle.refresh();
+      expect(texts(added)).toEqual(['One', 'Two']);
+    });
+
+    it('should stop reporting after disconnect()', async () => {
+      start('.btn{ color: red; }');
+      handle.disconnect();
+      document.querySelectorAll('.btn')[1].setAttribute('style', 'color: red;');
+      await flush();
+      expect(texts(added)).toEqual(['One']);
+    });
+  });
+
+  describe('Waiting for Matches', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="modal" style="display: none; opacity: 0;">Modal</div>
+        <div class="toast" style="display: block; opacity: 0;">Toast</div>
+        <span class="modal" style="display: inline; opacity: 1;">Other</span>
+      `;
+    });
+
+    it('should resolve immediately when the query already matches', async () => {
+      const element = await waitForCssRules('.toast{ display: block; }');
+      expect(element.textContent).toBe('Toast');
+    });
+
+    it('should resolve once the styles apply', async () => {
+      const modal = document.querySelector('.modal');
+      setTimeout(() => modal.setAttribute('style', 'display: block; opacity: 1;'), 10);
+
+      const element = await waitForCssRules('.modal{ display: block; opacity: 1; }', { interval: 0 });
+      expect(element).toBe(modal);
+    });
+
+    it('should resolve with every match when all is set', async () => {
+      const elements = await waitForCssRules('.modal{ opacity: 1; }', { all: true });
+      expect(elements).toHaveLength(1);
+      expect(elements[0].textContent).toBe('Other');
+
+      document.querySelector('.modal').setAttribute('style', 'display: block; opacity: 1;');
+      const both = await waitForCssRules('div{ display: block; }', { all: true });
+      expect(both.map(el => el.textContent)).toEqual(['Modal', 'Toast']);
+    });
+
+    it('should evaluate matches already there once, not once per match', async () => {
+      document.body.innerHTML = '<p style="color: red;"></p>'.repeat(100);
+      const getComputedStyleSpy = vi.spyOn(window, 'getComputedStyle');
+
+      const all = await waitForCssRules('p{ color: red; }', { all: true });
+      expect(all).toHaveLength(100);
+      expect(getComputedStyleSpy).toHaveBeenCalledTimes(100);
+
+      getComputedStyleSpy.mockClear();
+      const first = await waitForCssRules('p{ color: red; }');
+      expect(first).toBe(document.querySelector('p'));
+      expect(getComputedStyleSpy).toHaveBeenCalledTimes(100);
+      getComputedStyleSpy.mockRestore();
+    });
+
+    it('should search below the given root', async () => {
+      document.body.innerHTML = `
+        <section id="one"><p style="color: red;">One</p></section>
+        <section id="two"><p style="color: blue;">Two</p></section>
+      `;
+      const two = document.getElementById('two');
+      setTimeout(() => two.firstElementChild.setAttribute('style', 'color: red;'), 10);
+
+      const element = await waitForCssRules('p{ color: red; }', { root: two });
+      expect(element.textContent).toBe('Two');
+    });
+
+    it('should pick up changes no mutation reveals by re-checking on an interval', async () => {
+      const toast = document.querySelector('.toast');
+      const original = window.getComputedStyle;
+      const spy = vi.spyOn(window, 'getComputedStyle');
+      setTimeout(() => spy.mockImplementation((element, pseudo) => {
+        const style = original.call(window, element, pseudo);
+        return element === toast ? { opacity: '1', getPropertyValue: () => '1' } : style;
+      }), 10);
+
+      try {
+        const element = await waitForCssRules('.toast{ opacity: 1; }', { interval: 5 });
+        expect(element).toBe(toast);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    it('should reject with the closest near-misses on timeout', async () => {
+      const error = await waitForCssRules('.modal{ display: block; opacity: 1; }', { timeout: 20 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(CSSQueryTimeoutError);
+      expect(error.timeout).toBe(20);
+      expect(error.nearMisses.map(miss => miss.element.textContent)).toEqual(['Other', 'Modal']);
+      expect(error.nearMisses[0].failures).toEqual([
+        { property: 'display', pseudo: null, shorthand: null, expected: 'block', actual: 'inline' }
+      ]);
+      expect(error.message).toContain('Timed out after 20ms waiting for ".modal{ display: block; opacity: 1; }"');
+      expect(error.message).toContain('span.modal: display: expected "block", got "inline"');
+    });
+
+    it('should say when no element matched the selectors', async () => {
+      const error = await waitForCssRules('.missing{ display: block; }', { timeout: 10 }).catch(e => e);
+      expect(error.nearMisses).toEqual([]);
+      expect(error.message).toContain('No element matched the selectors');
+    });
+
+    it('should reject when aborted', async () => {
+      const controller = new AbortController();
+      const promise = waitForCssRules('.missing{ display: block; }', { signal: controller.signal, timeout: Infinity });
+      controller.abort();
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+
+      await expect(waitForCssRules('.toast{ display: block; }', { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should reject with syntax errors', async () => {
+      await expect(waitForCssRules('.toast{ display block; }')).rejects.toBeInstanceOf(CSSQuerySyntaxError);
+    });
+  });
+
+  describe('Shadow DOM', () => {
+    let host;
+    let shadow;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      host = document.createElement('x-card');
+      host.id = 'card';
+      shadow = host.attachShadow({ mode: 'open' });
+      shadow.innerHTML = `
+        <div class="wrapper" style="display: flex;">
+          <button class="control" style="color: red;">Inside</button>
+          <slot></slot>
+        </div>
+      `;
+      host.innerHTML = '<span class="slotted" style="color: red;">Slotted</span>';
+      document.body.appendChild(host);
+    });
+
+    it('should not enter shadow roots by default', () => {
+      expect(querySelectorAllWithCssRules('.control{ color: red; }')).toEqual([]);
+    });
+
+    it('should match elements inside open shadow roots', () => {
+      const results = querySelectorAllWithCssRules('.control{ color: red; }', document, { shadow: 'open' });
+      expect(results).toEqual([shadow.querySelector('.control')]);
+    });
+
+    it('should continue descendant mode into shadow and slotted content in flat tree order', () => {
+      const results = querySelectorAllWithCssRules('#card { color: red; }', document, { shadow: 'open' });
+      expect(results.map(el => el.textContent)).toEqual(['Inside', 'Slotted']);
+    });
+
+    it('should treat the top of a shadow tree as children of its host', () => {
+      const results = querySelectorAllWithCssRules('#card > { display: flex; }', document, { shadow: 'open' });
+      expect(results).toEqual([shadow.querySelector('.wrapper')]);
+    });
+
+    it('should treat slotted elements as children of their slot', () => {
+      const slotted = querySelectorAllWithCssRules('slot > { color: red; }', document, { shadow: 'open' });
+      expect(slotted.map(el => el.textContent)).toEqual(['Slotted']);
+
+      const wrapped = querySelectorAllWithCssRules('.wrapper { color: red; }', document, { shadow: 'open' });
+      expect(wrapped.map(el => el.textContent)).toEqual(['Inside', 'Slotted']);
+    });
+
+    it('should continue plain selector parts into shadow roots', () => {
+      const results = querySelectorAllWithCssRules('x-card{ } .control', document, { shadow: 'open' });
+      expect(results).toEqual([shadow.querySelector('.control')]);
+    });
+
+    it('should not enter closed shadow roots', () => {
+      const closedHost = document.createElement('div');
+      closedHost.attachShadow({ mode: 'closed' }).innerHTML = '<p style="color: red;">Hidden</p>';
+      document.body.appendChild(closedHost);
+
+      const results = querySelectorAllWithCssRules('p{ color: red; }', document, { shadow: 'open' });
+      expect(results).toEqual([]);
+    });
+
+    it('should check shadow elements with compiled queries', () => {
+      const compiled = compile('#card { color: red; }', { shadow: 'open' });
+      expect(compiled.first().textContent).toBe('Inside');
+      expect(compiled.matches(shadow.querySelector('.control'))).toBe(true);
+      expect(compile('#card { color: red; }').matches(shadow.querySelector('.control'))).toBe(false);
+    });
+
+    it('should observe changes inside shadow roots', async () => {
+      const added = [];
+      const handle = observe('.control{ color: blue; }', document, { shadow: 'open', onAdd: el => added.push(el) });
+      shadow.querySelector('.control').setAttribute('style', 'color: blue;');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      handle.disconnect();
+
+      expect(added).toEqual([shadow.querySelector('.control')]);
+    });
+  });
+
+  describe('Frames', () => {
+    let iframe;
+    let frameDocument;
+    let frameView;
+
+    // happy-dom neither loads iframes nor computes styles outside its window,
+    // so each frame gets a stand-in document whose view reads inline styles
+    function attachFrame(frame, html) {
+      const doc = document.implementation.createHTMLDocument('');
+      doc.body.innerHTML = html;
+      const view = {
+        getComputedStyle: vi.fn(element => new Proxy({}, {
+          get: (target, property) => property === 'getPropertyValue'
+            ? name => element.style.getPropertyValue(name)
+            : element.style[property]
+        })),
+        frameElement: frame,
+        innerWidth: 300,
+        innerHeight: 150
+      };
+      Object.defineProperty(doc, 'defaultView', { value: view });
+      Object.defineProperty(frame, 'contentDocument', { value: doc });
+      return { doc, view };
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = '<iframe class="editor"></iframe><p class="after" style="color: red;">After</p>';
+      iframe = document.querySelector('iframe');
+      ({ doc: frameDocument, view: frameView } = attachFrame(iframe, '<button class="save" style="color: red; width: 150px;">Save</button>'));
+    });
+
+    it('should not enter frames by default', () => {
+      const results = querySelectorAllWithCssRules('button{ color: red; }');
+      expect(results).toEqual([]);
+    });
+
+    it('should match elements inside frames', () => {
+      const results = querySelectorAllWithCssRules('button{ color: red; }', document, { frames: true });
+      expect(results).toEqual([frameDocument.querySelector('.save')]);
+    });
+
+    it('should keep document order around frame contents', () => {
+      const results = querySelectorAllWithCssRules('{ color: red; }', document, { frames: true });
+      expect(results.map(el => el.textContent)).toEqual(['Save', 'After']);
+    });
+
+    it('should treat a frame document as a descendant of its frame element', () => {
+      const results = querySelectorAllWithCssRules('iframe.editor{ } button{ color: red; }', document, { frames: true });
+      expect(results).toEqual([frameDocument.querySelector('.save')]);
+    });
+
+    it("should compute styles with the frame's own window", () => {
+      querySelectorWithCssRules('button{ color: red; }', document, { frames: true });
+      expect(frameView.getComputedStyle.mock.calls.map(([element]) => element)).toContain(frameDocument.querySelector('.save'));
+    });
+
+    it("should resolve viewport units against the frame's viewport", () => {
+      const results = querySelectorAllWithCssRules('button{ width: 50vw; }', document, { frames: true });
+      expect(results).toEqual([frameDocument.querySelector('.save')]);
+    });
+
+    it('should report the frames a result is nested in', () => {
+      const outer = document.createElement('iframe');
+      document.body.appendChild(outer);
+      const inner = attachFrame(outer, '<iframe></iframe>').doc.querySelector('iframe');
+      const { doc: innerDocument } = attachFrame(inner, '<span class="deep" style="color: red;">Deep</span>');
+
+      const deep = querySelectorWithCssRules('.deep{ color: red; }', document, { frames: true });
+      expect(deep).toBe(innerDocument.querySelector('.deep'));
+      expect(getFramePath(deep)).toEqual([outer, inner]);
+      expect(getFramePath(document.querySelector('.after'))).toEqual([]);
+    });
+
+    it('should notice changes inside frames when observing', async () => {
+      const added = [];
+      const observer = observe('button{ color: blue; }', document, { frames: true, onAdd: el => added.push(el) });
+      const button = frameDocument.querySelector('.save');
+      button.setAttribute('style', 'color: blue;');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(added).toEqual([button]);
+      observer.disconnect();
+    });
+  });
+
+  describe('Explain', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="menu" style="display: block;">
+          <a class="link" style="color: red;">Top</a>
+          <a class="link" style="color: blue;">Blue</a>
+          <div class="menu" style="display: flex;">
+            <a class="link" style="color: red;">Nested</a>
+          </div>
+        </div>
+      `;
+    });
+
+    it('should report expected and actual values for each declaration', () => {
+      const report = explain('.link{ color: green; }');
+      const [part] = report.groups[0].parts;
+
+      expect(report.matches).toEqual([]);
+      expect(part.candidates.map(candidate => candidate.element.textContent)).toEqual(['Top', 'Blue', 'Nested']);
+      expect(part.candidates[0].matched).toBe(false);
+      expect(part.candidates[0].blocks[0].declarations[0]).toMatchObject({
+        property: 'color',
+        operator: '=',
+        expected: 'green',
+        normalized: { expected: 'rgb(0,128,0)', actual: 'rgb(255,0,0)' },
+        pass: false
+      });
+    });
+
+    it('should list the candidates of each part of a chain', () => {
+      const report = explain('.menu{ display: block; } .link{ color: red; }');
+      const [menus, links] = report.groups[0].parts;
+
+      expect(menus.candidates.map(candidate => candidate.matched)).toEqual([true, false]);
+      expect(links.candidates.map(candidate => [candidate.element.textContent, candidate.matched]))
+        .toEqual([['Top', true], ['Blue', false]]);
+      expect(report.matches.map(el => el.textContent)).toEqual(['Top']);
+    });
+
+    it('should list elements left out by an earlier filter selector', () => {
+      const report = explain('.menu{ display: block; } .link{ color: red; }');
+      const [excluded] = report.groups[0].parts[1].excluded;
+      const nestedMenu = document.querySelectorAll('.menu')[1];
+
+      expect(report.groups[0].parts[1].excluded).toHaveLength(1);
+      expect(excluded.element.textContent).toBe('Nested');
+      expect(excluded.blockedBy).toBe(nestedMenu);
+      expect(excluded.selector).toBe('.menu');
+    });
+
+    it('should report negated blocks and shorthand expansions', () => {
+      const report = explain('.link{ margin: 0; } !{ color: red; }');
+      const [candidate] = report.groups[0].parts[0].candidates;
+      const [positive, negated] = candidate.blocks;
+
+      expect(positive.declarations.map(declaration => declaration.shorthand)).toEqual(['margin', 'margin', 'margin', 'margin']);
+      expect(negated).toMatchObject({ negated: true, matched: true });
+      expect(candidate.matched).toBe(false);
+    });
+
+    it('should agree with querySelectorAllWithCssRules', () => {
+      const query = '.menu > { color: red; }, .link{ color: blue; }';
+      const report = explain(query);
+      expect(report.matches).toEqual(querySelectorAllWithCssRules(query));
+      expect(report.groups).toHaveLength(2);
+    });
+
+    it('should throw syntax errors', () => {
+      expect(() => explain('.link{ color red; }')).toThrow(CSSQuerySyntaxError);
+    });
+  });
+
+  describe('Query Generation', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <form>
+          <input name="email">
+          <button class="x8f2a" style="color: red;">Save</button>
+          <button class="k19qz" style="color: blue;">Cancel</button>
+        </form>
+        <section class="a1b2" style="display: grid;"><p><span>First</span></p></section>
+        <section class="c3d4"><p><span>Second</span></p></section>
+      `;
+    });
+
+    const expectIdentifies = (query, element, root = document) => {
+      expect(query).not.toBeNull();
+      expect(querySelectorAllWithCssRules(query, root)).toEqual([element]);
+    };
+
+    it('should use tag names and stable attributes', () => {
+      expect(generateQuery(document.querySelector('form'))).toBe('form');
+      expect(generateQuery(document.querySelector('input'))).toBe('input');
+    });
+
+    it('should tell elements with generated class names apart by computed styles', () => {
+      const [save, cancel] = document.querySelectorAll('button');
+      const query = generateQuery(save);
+      expect(query).toContain('color: red;');
+      expect(query).not.toContain('x8f2a');
+      expectIdentifies(query, save);
+      expectIdentifies(generateQuery(cancel), cancel);
+    });
+
+    it('should describe an ancestor when the element alone is ambiguous', () => {
+      const [first, second] = document.querySelectorAll('span');
+      const query = generateQuery(first);
+      expect(query).toMatch(/display: grid;.*span$/);
+      expectIdentifies(query, first);
+      expectIdentifies(generateQuery(second), second);
+    });
+
+    it('should use a child combinator for a parent described by selectors', () => {
+      document.body.innerHTML = `
+        <ul role="menu"><li style="color: red;">A</li><li>B</li></ul>
+        <ul><li style="color: red;">C</li></ul>
+      `;
+      const query = generateQuery(document.querySelector('li'), { properties: ['color'] });
+      expect(query).toBe('[role="menu"] > li{ color: red; }');
+      expectIdentifies(query, document.querySelector('li'));
+    });
+
+    it('should prefer stable ids and skip generated ones', () => {
+      document.body.innerHTML = '<div id="sidebar"></div><div id="ember1234" style="position: absolute;"></div><div></div>';
+      const [sidebar, generated] = document.querySelectorAll('div');
+      expect(generateQuery(sidebar)).toBe('#sidebar');
+      expect(generateQuery(generated)).toBe('div{ position: absolute; }');
+    });
+
+    it('should only add descriptors that narrow the matches', () => {
+      const save = document.querySelector('button');
+      const query = generateQuery(save, { properties: ['display', 'visibility', 'color'] });
+      expect(query).toBe('button{ color: red; }');
+    });
+
+    it('should read each element\'s styles at most once', () => {
+      document.body.innerHTML = '<section><p>Same</p></section>'.repeat(50);
+      const spy = vi.spyOn(window, 'getComputedStyle');
+      try {
+        expect(generateQuery(document.querySelectorAll('p')[20])).toBeNull();
+        expect(new Set(spy.mock.calls.map(([element]) => element)).size).toBe(spy.mock.calls.length);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    it('should only describe the given properties', () => {
+      const save = document.querySelector('button');
+      expect(generateQuery(save, { properties: ['display'] })).toBeNull();
+    });
+
+    it('should limit how many ancestors are described', () => {
+      const [first] = document.querySelectorAll('span');
+      expect(generateQuery(first, { maxDepth: 1 })).toBeNull();
+    });
+
+    it('should generate queries relative to a root', () => {
+      const [, second] = document.querySelectorAll('section');
+      const span = second.querySelector('span');
+      const query = generateQuery(span, { root: second });
+      expect(query).toBe('span');
+      expectIdentifies(query, span, second);
+      expect(generateQuery(document.querySelector('input'), { root: second })).toBeNull();
+    });
+
+    it('should confirm queries by exact matching when given ranked options', () => {
+      const save = document.querySelector('.x8f2a');
+      const query = generateQuery(save, { mode: 'ranked', minScore: 0, weights: { color: 2 } });
+      expect(query).toBe(generateQuery(save));
+      expectIdentifies(query, save);
+    });
+  });
+
+  describe('Style Fingerprints', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <form>
+          <button type="submit" class="x8f2a" style="color: red; font-size: 16px; padding-top: 8px;">Save changes</button>
+          <button type="button" class="k19qz" style="color: blue; font-size: 12px;">Cancel</button>
+        </form>
+      `;
+    });
+
+    it('should capture computed styles and structural hints', () => {
+      const save = document.querySelector('button');
+      const recorded = fingerprint(save, { properties: ['color', 'font-size'] });
+      expect(recorded).toEqual({
+        tag: 'button',
+        attributes: { type: 'submit' },
+        parent: 'form',
+        children: 0,
+        text: 'Save changes',
+        styles: { color: window.getComputedStyle(save).color, 'font-size': '16px' }
+      });
+      expect(JSON.parse(JSON.stringify(recorded))).toEqual(recorded);
+    });
+
+    it('should find the fingerprinted element with a perfect score', () => {
+      const save = document.querySelector('button');
+      const [best] = findBySimilarity(fingerprint(save), document);
+      expect(best).toEqual({ element: save, score: 1, differences: [] });
+    });
+
+    it('should relocate an element after a property changed', () => {
+      const recorded = JSON.parse(JSON.stringify(fingerprint(document.querySelector('button'))));
+      document.body.innerHTML = `
+        <form>
+          <button type="button" class="p0w9e" style="color: blue; font-size: 12px;">Cancel</button>
+          <button type="submit" class="m2n7r" style="color: red; font-size: 17px; padding-top: 8px;">Save changes</button>
+        </form>
+      `;
+      const results = findBySimilarity(recorded, document);
+      expect(results).toHaveLength(1);
+      expect(results[0].element.className).toBe('m2n7r');
+      expect(results[0].score).toBeGreaterThan(0.95);
+      expect(results[0].score).toBeLessThan(1);
+      expect(results[0].differences).toEqual([{ property: 'font-size', expected: '16px', actual: '17px' }]);
+    });
+
+    it('should rank candidates by score and respect the threshold', () => {
+      const recorded = fingerprint(document.querySelector('button'));
+      const results = findBySimilarity(recorded, document, { threshold: 0 });
+      expect(results[0].element).toBe(document.querySelector('button'));
+      expect(results[1].element).toBe(document.querySelectorAll('button')[1]);
+      expect(results.map(result => result.score)).toEqual([...results.map(result => result.score)].sort((a, b) => b - a));
+      expect(findBySimilarity(recorded, document, { threshold: 1 })).toHaveLength(1);
+    });
+
+    it('should give partial credit for close colors and shared words', () => {
+      const save = document.querySelector('button');
+      const recorded = fingerprint(save, { properties: ['color'] });
+      save.style.color = 'rgb(250, 0, 0)';
+      save.textContent = 'Save all changes';
+      const [result] = findBySimilarity(recorded, document, { threshold: 0.5 });
+      expect(result.element).toBe(save);
+      expect(result.differences.map(difference => difference.property)).toEqual(['text', 'color']);
+      expect(result.score).toBeGreaterThan(0.8);
+    });
+
+    it('should only search below the root', () => {
+      const recorded = fingerprint(document.querySelector('button'));
+      const other = document.createElement('div');
+      expect(findBySimilarity(recorded, other)).toEqual([]);
+    });
+
+    it('should take the parent from the tree the shadow option picks', () => {
+      document.body.innerHTML = '<x-toolbar></x-toolbar>';
+      const host = document.querySelector('x-toolbar');
+      host.attachShadow({ mode: 'open' }).innerHTML = '<button type="submit" style="color: red;">Save</button>';
+      const save = host.shadowRoot.querySelector('button');
+
+      expect(fingerprint(save).parent).toBeNull();
+      const recorded = fingerprint(save, { shadow: 'open' });
+      expect(recorded.parent).toBe('x-toolbar');
+      const [best] = findBySimilarity(recorded, document, { shadow: 'open' });
+      expect(best).toEqual({ element: save, score: 1, differences: [] });
+    });
+
+    it('should read only the first 80 characters of text, nested or not', () => {
+      const words = Array.from({ length: 50 }, (_, index) => 'word' + index);
+      document.body.innerHTML = '<div>  <b>' + words.slice(0, 10).join(' \n ') + '</b> <i>' + words.slice(10).join(' ') + '</i></div>';
+      const div = document.querySelector('div');
+      const expected = div.textContent.replace(/\s+/g, ' ').trim().slice(0, 80);
+      expect(fingerprint(div, { properties: [] }).text).toBe(expected);
+      expect(fingerprint(document.body, { properties: [] }).text).toBe(expected);
+      expect(fingerprint(div.querySelector('b'), { properties: [] }).text).toBe(words.slice(0, 10).join(' '));
+    });
+  });
+
+  describe('Ranked Matching', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="card" style="display: flex; color: red; opacity: 0.5;">All</div>
+        <div class="card" style="display: flex; color: blue; opacity: 0.5;">Two</div>
+        <div class="card" style="display: block; color: blue; opacity: 1;">None</div>
+      `;
+    });
+
+    const query = '.card{ display: flex; color: red; opacity: 0.5; }';
+
+    it('should rank candidates by the fraction of declarations they satisfy', () => {
+      const results = querySelectorAllWithCssRules(query, document, { mode: 'ranked' });
+      expect(results.map(result => [result.element.textContent, result.score])).toEqual([['All', 1], ['Two', 2 / 3]]);
+      expect(results[0].failed).toEqual([]);
+      expect(results[1].failed).toMatchObject([{ property: 'color', expected: 'red' }]);
+    });
+
+    it('should respect minScore', () => {
+      const all = querySelectorAllWithCssRules(query, document, { mode: 'ranked', minScore: 0 });
+      expect(all.map(result => result.element.textContent)).toEqual(['All', 'Two', 'None']);
+      expect(all[2].score).toBe(0);
+      const exact = querySelectorAllWithCssRules(query, document, { mode: 'ranked', minScore: 1 });
+      expect(exact.map(result => result.element.textContent)).toEqual(['All']);
+    });
+
+    it('should return the best result from querySelectorWithCssRules', () => {
+      document.querySelector('.card').remove();
+      const best = querySelectorWithCssRules(query, document, { mode: 'ranked' });
+      expect(best.element.textContent).toBe('Two');
+      expect(querySelectorWithCssRules('.missing{ color: red; }', document, { mode: 'ranked' })).toBeNull();
+    });
+
+    it('should weight declarations by property', () => {
+      const results = querySelectorAllWithCssRules(query, document, {
+        mode: 'ranked', minScore: 0, weights: { display: 3, color: 0.5, opacity: 0.5 }
+      });
+      expect(results.map(result => [result.element.textContent, result.score]))
+        .toEqual([['All', 1], ['Two', 3.5 / 4], ['None', 0]]);
+    });
+
+    it('should accept weights without a prototype', () => {
+      const weights = Object.assign(Object.create(null), { display: 3, color: 0.5, opacity: 0.5 });
+      const results = querySelectorAllWithCssRules(query, document, { mode: 'ranked', minScore: 0, weights });
+      expect(results.map(result => result.score)).toEqual([1, 3.5 / 4, 0]);
+    });
+
+    it('should share a shorthand weight between its longhands', () => {
+      document.body.innerHTML = '<p style="margin: 0 4px 0 0; color: red;">Text</p>';
+      const [result] = querySelectorAllWithCssRules('p{ margin: 0; color: red; }', document, { mode: 'ranked' });
+      expect(result.score).toBeCloseTo(0.875);
+      expect(result.failed).toMatchObject([{ property: 'margin-right', shorthand: 'margin' }]);
+    });
+
+    it('should count negated blocks and pick the best alternative', () => {
+      const results = querySelectorAllWithCssRules('.card{ color: red; } | { display: block; opacity: 0.5; } !{ opacity: 1; }',
+        document, { mode: 'ranked', minScore: 0 });
+      expect(results.map(result => [result.element.textContent, result.score]))
+        .toEqual([['All', 1], ['Two', 2 / 3], ['None', 1 / 3]]);
+      expect(results[2].failed.some(failure => failure.negated)).toBe(true);
+    });
+
+    it('should still require the earlier parts to match', () => {
+      document.body.innerHTML = `
+        <section style="display: grid;"><p style="color: red;">In</p></section>
+        <section style="display: block;"><p style="color: red;">Out</p></section>
+      `;
+      const results = querySelectorAllWithCssRules('section{ display: grid; } p{ color: red; font-weight: 700; }',
+        document, { mode: 'ranked' });
+      expect(results.map(result => result.element.textContent)).toEqual(['In']);
+      expect(results[0].score).toBe(0.5);
+    });
+
+    it('should refuse ranked mode where results are not ranked', async () => {
+      const options = { mode: 'ranked' };
+      expect(() => iterateWithCssRules(query, document, options)).toThrow(TypeError);
+      expect(() => observe(query, document, options)).toThrow(/observe does not support mode: 'ranked'/);
+      await expect(querySelectorAllWithCssRulesAsync(query, document, options)).rejects.toThrow(TypeError);
+      await expect(waitForCssRules(query, options)).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('Sibling Modes (+ and ~ before {)', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="field">
+          <i class="icon" style="color: red;"></i>
+          <label class="label" style="display: inline;">Required</label>
+          <span class="hint" style="display: inline;">Hint</span>
+        </div>
+        <div class="field">
+          <i class="icon" style="color: gray;"></i>
+          <label class="label" style="display: inline;">Optional</label>
+        </div>
+      `;
+    });
+
+    it('should parse + and ~ before a block as sibling relationships', () => {
+      const parts = parse('.icon + { display: inline; }, .icon ~ !{ display: none; }').groups.map(group => group.parts[0]);
+      expect(parts.map(part => [part.selector, part.relationship])).toEqual([['.icon', 'adjacent'], ['.icon', 'sibling']]);
+      expect(parts[1].blocks[0].negated).toBe(true);
+    });
+
+    it('should match the element right after a selector match', () => {
+      const results = querySelectorAllWithCssRules('.icon + { display: inline; }');
+      expect(results.map(el => el.textContent)).toEqual(['Required', 'Optional']);
+    });
+
+    it('should match every later sibling of a selector match', () => {
+      const results = querySelectorAllWithCssRules('.icon ~ { display: inline; }');
+      expect(results.map(el => el.textContent)).toEqual(['Required', 'Hint', 'Optional']);
+    });
+
+    it('should chain after a styled part', () => {
+      const adjacent = querySelectorAllWithCssRules('.icon{ color: red; } + { display: inline; }');
+      expect(adjacent.map(el => el.textContent)).toEqual(['Required']);
+      const general = querySelectorAllWithCssRules('.icon{ color: red; } ~ { display: inline; }');
+      expect(general.map(el => el.textContent)).toEqual(['Required', 'Hint']);
+    });
+
+    it('should check the sibling selector against earlier parts', () => {
+      const results = querySelectorAllWithCssRules('.field{ } .icon ~ { display: inline; }');
+      expect(results.map(el => el.textContent)).toEqual(['Required', 'Hint', 'Optional']);
+      const none = querySelectorAllWithCssRules('.hint{ } .icon + { display: inline; }');
+      expect(none).toEqual([]);
+    });
+
+    it('should only look at element siblings', () => {
+      expect(querySelectorAllWithCssRules('.label + { }')).toEqual([document.querySelector('.hint')]);
+      expect(querySelectorAllWithCssRules('.hint + { }')).toEqual([]);
+      expect(querySelectorAllWithCssRules('.label ~ { }')).toEqual([document.querySelector('.hint')]);
+    });
+
+    it('should continue into other modes', () => {
+      document.body.innerHTML = `
+        <h2 style="color: red;">Title</h2>
+        <section><p style="font-weight: 700;">Body</p></section>
+      `;
+      const results = querySelectorAllWithCssRules('h2{ color: red; } + { } { font-weight: 700; }');
+      expect(results.map(el => el.textContent)).toEqual(['Body']);
+    });
+
+    it('should round-trip through stringify', () => {
+      const query = '.icon{ color: red; } + { display: inline; }, .icon ~ { display: inline; }';
+      expect(stringify(parse(query))).toBe(query);
+    });
+
+    it('should use flat tree siblings with shadow: open', () => {
+      document.body.innerHTML = '';
+      const host = document.createElement('x-field');
+      host.attachShadow({ mode: 'open' }).innerHTML = '<i class="icon"></i><slot></slot>';
+      host.innerHTML = '<label style="display: inline;">Slotted</label>';
+      document.body.appendChild(host);
+
+      expect(querySelectorAllWithCssRules('.icon + { }', document, { shadow: 'open' }).map(el => el.nodeName))
+        .toEqual(['SLOT']);
+      expect(querySelectorAllWithCssRules('x-field > { } + { }', document, { shadow: 'open' }).map(el => el.nodeName))
+        .toEqual(['SLOT']);
+    });
+
+    it('should list a slot\'s elements once per query, not once per sibling step', () => {
+      document.body.innerHTML = '';
+      const host = document.createElement('x-list');
+      host.attachShadow({ mode: 'open' }).innerHTML = '<slot></slot>';
+      host.innerHTML = '<li class="first"></li>' + '<li></li>'.repeat(49);
+      document.body.appendChild(host);
+      const slot = host.shadowRoot.querySelector('slot');
+      // As browsers do, so finding a slot does not list its elements
+      for (const item of host.children) Object.defineProperty(item, 'assignedSlot', { value: slot });
+      const assignedElements = vi.spyOn(slot, 'assignedElements');
+
+      const results = querySelectorAllWithCssRules('.first ~ { }', document, { shadow: 'open' });
+      expect(results).toEqual(Array.from(host.children).slice(1));
+      expect(assignedElements.mock.calls.length).toBeLessThan(10);
+    });
+  });
 });
 